@@ -0,0 +1,427 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Achievement Engine
+ * Achievements are declarative rules over a player's game history:
+ *   { id, name, description, icon, enabled,
+ *     conditions: [{ stat: 'game.size', op: '==', value: '3x3' }, ...] }
+ * A rule is earned on a won game when all of its conditions hold for the
+ * stats at that point (see STATS). Admins edit the rules; every save is a
+ * new version, and earlier versions are kept so they can be restored.
+ * Rules with a counting target (e.g. totals.wins >= 10) also have a progress.
+ * Works as a browser global (window.AchievementEngine) or a CommonJS module in Node
+ *
+ * Definitions are stored in localStorage under fifteenPuzzleAchievementRules.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AchievementEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    const STORAGE_KEY = 'fifteenPuzzleAchievementRules';
+    const HISTORY_KEY = 'fifteenPuzzleAchievementRulesHistory';
+    const MAX_HISTORY = 20;       // Earlier versions kept for restoring
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const OPERATORS = {
+        '==': (a, b) => a === b,
+        '!=': (a, b) => a !== b,
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b
+    };
+
+    /**
+     * Stats a condition can test. 'game.*' is the won game being checked;
+     * the rest cover every game up to and including it.
+     */
+    const STATS = {
+        'game.size': 'Board size, e.g. "4x4" or "3x5" (rows x columns)',
+        'game.rows': 'Rows on the board',
+        'game.cols': 'Columns on the board',
+        'game.cells': 'Tiles plus the blank',
+        'game.rectangular': 'true for boards that are not square',
+        'game.time': 'Seconds taken',
+        'game.moves': 'Moves made',
+        'game.hintsUsed': 'Hints used',
+        'game.undosUsed': 'Undos used',
+        'game.pauseCount': 'Times paused',
+        'game.daily': 'true for a ranked Daily Challenge',
+        'game.optimalMoves': 'Shortest known solution for the starting board',
+        'game.efficiency': 'optimalMoves / moves (1 = no wasted moves), when known',
+        'game.wastedMoves': 'Moves beyond optimalMoves, when known',
+        'game.optimalWin': 'true when won in the proven shortest number of moves',
+        'game.score': 'Points for the game (see game-score.js), when scored',
+        'totals.games': 'Games played, won or abandoned',
+        'totals.wins': 'Games won',
+        'totals.hintFreeWins': 'Games won without a hint',
+        'totals.sizesWon': 'Different board sizes won',
+        'totals.dailyWins': 'Ranked Daily Challenges won',
+        'streak.current': 'Wins in a row (an abandoned game ends the streak)',
+        'streak.best': 'Longest run of wins in a row',
+        'daily.streak': 'Days in a row with a ranked Daily Challenge won',
+        'sizes.<size>.wins': 'Wins on one size, e.g. sizes.4x4.wins',
+        'sizes.<size>.bestTime': 'Fastest win on one size, in seconds',
+        'sizes.<size>.bestMoves': 'Fewest moves in a win on one size'
+    };
+
+    const SIZE_STAT = /^sizes\.\d+x\d+\.(wins|bestTime|bestMoves)$/;
+
+    // Counting stats: a '>=' or '>' target on one of these has a progress
+    const COUNTING_STAT = /^(totals\.\w+|streak\.\w+|daily\.streak|sizes\.\d+x\d+\.wins)$/;
+
+    const MILESTONES = [0.5, 0.9];  // Progress shares announced before unlocking
+
+    const DEFAULT_RULES = [
+        { id: 'first_win', name: 'First Victory!', description: 'Complete your first puzzle', icon: '🏆',
+            conditions: [{ stat: 'totals.wins', op: '>=', value: 1 }] },
+        { id: 'speed_demon_3x3', name: 'Speed Demon', description: 'Solve a 3x3 puzzle in under 30 seconds', icon: '⚡',
+            conditions: [{ stat: 'game.size', op: '==', value: '3x3' }, { stat: 'game.time', op: '<', value: 30 }] },
+        { id: 'speed_demon_4x4', name: 'Lightning Fast', description: 'Solve a 4x4 puzzle in under 60 seconds', icon: '⚡',
+            conditions: [{ stat: 'game.size', op: '==', value: '4x4' }, { stat: 'game.time', op: '<', value: 60 }] },
+        { id: 'efficiency_master', name: 'Efficiency Master', description: 'Solve a 4x4 puzzle in under 100 moves', icon: '🎯',
+            conditions: [{ stat: 'game.size', op: '==', value: '4x4' }, { stat: 'game.moves', op: '<', value: 100 }] },
+        { id: 'puzzle_veteran', name: 'Puzzle Veteran', description: 'Complete 10 puzzles', icon: '🎖️',
+            conditions: [{ stat: 'totals.wins', op: '>=', value: 10 }] },
+        { id: 'puzzle_master', name: 'Puzzle Master', description: 'Complete 50 puzzles', icon: '👑',
+            conditions: [{ stat: 'totals.wins', op: '>=', value: 50 }] },
+        { id: 'perfectionist', name: 'Perfectionist', description: 'Solve a puzzle in the fewest possible moves', icon: '💎',
+            conditions: [{ stat: 'game.optimalWin', op: '==', value: true }] },
+        { id: 'big_puzzle_solver', name: 'Big Puzzle Solver', description: 'Complete a 5x5 puzzle', icon: '🧩',
+            conditions: [{ stat: 'game.size', op: '==', value: '5x5' }] },
+        { id: 'shape_shifter', name: 'Shape Shifter', description: 'Complete a rectangular puzzle such as 3x5', icon: '📐',
+            conditions: [{ stat: 'game.rectangular', op: '==', value: true }] },
+        { id: 'big_board_explorer', name: 'Big Board Explorer', description: 'Complete a 6x6 or larger puzzle', icon: '🗺️',
+            conditions: [{ stat: 'game.rectangular', op: '==', value: false }, { stat: 'game.rows', op: '>=', value: 6 }] },
+        { id: 'grandmaster', name: 'Grandmaster', description: 'Complete a 10x10 puzzle', icon: '🏆',
+            conditions: [{ stat: 'game.size', op: '==', value: '10x10' }] },
+        { id: 'hot_streak', name: 'Hot Streak', description: 'Win 5 games in a row', icon: '🔥',
+            conditions: [{ stat: 'streak.current', op: '>=', value: 5 }] },
+        { id: 'no_help_needed', name: 'No Help Needed', description: 'Solve a 4x4 puzzle without hints or undos', icon: '🧠',
+            conditions: [{ stat: 'game.size', op: '==', value: '4x4' }, { stat: 'game.hintsUsed', op: '==', value: 0 },
+                { stat: 'game.undosUsed', op: '==', value: 0 }] },
+        { id: 'daily_devotee', name: 'Daily Devotee', description: 'Win the Daily Challenge 7 days in a row', icon: '📅',
+            conditions: [{ stat: 'daily.streak', op: '>=', value: 7 }] }
+    ].map(rule => Object.assign({ enabled: true }, rule));
+
+    /**
+     * 'RxC' label, rows and columns for a stored puzzleSize (4 or '3x5');
+     * all null for old records without one
+     */
+    function parseGameSize(size) {
+        if (size === undefined || size === null) return { label: null, rows: null, cols: null };
+        const dims = String(size).split('x').map(Number);
+        const rows = dims[0];
+        const cols = dims.length === 2 ? dims[1] : dims[0];
+        return { label: `${rows}x${cols}`, rows: rows, cols: cols };
+    }
+
+    function previousDay(day) {
+        return new Date(Date.parse(day) - DAY_MS).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Running stats over game records fed in date order. add(record)
+     * returns the context after a won game (null for an abandoned one);
+     * snapshot() is the context so far, without a game.
+     */
+    function createTracker() {
+        const totals = { games: 0, wins: 0, hintFreeWins: 0, sizesWon: 0, dailyWins: 0 };
+        const streak = { current: 0, best: 0 };
+        const sizes = {};
+        const dailyDays = new Set();
+        let lastDailyDay = null;
+
+        function countDailyStreak(day) {
+            let count = 0;
+            for (; dailyDays.has(day); day = previousDay(day)) count++;
+            return count;
+        }
+
+        function context(game, dailyStreak) {
+            return {
+                game: game,
+                totals: Object.assign({}, totals),
+                streak: Object.assign({}, streak),
+                daily: { streak: dailyStreak },
+                sizes: JSON.parse(JSON.stringify(sizes))
+            };
+        }
+
+        function add(record) {
+            totals.games++;
+            if (!record.completed) {
+                streak.current = 0;
+                return null;
+            }
+
+            const size = parseGameSize(record.puzzleSize);
+            const daily = !!(record.dailyRanked && record.dailyChallenge);
+            totals.wins++;
+            if (!record.hintsUsed) totals.hintFreeWins++;
+            if (daily) {
+                totals.dailyWins++;
+                dailyDays.add(record.dailyChallenge);
+                if (!lastDailyDay || record.dailyChallenge > lastDailyDay) lastDailyDay = record.dailyChallenge;
+            }
+            streak.current++;
+            streak.best = Math.max(streak.best, streak.current);
+
+            if (size.label) {
+                if (!sizes[size.label]) {
+                    sizes[size.label] = { wins: 0, bestTime: null, bestMoves: null };
+                    totals.sizesWon++;
+                }
+                const sizeStats = sizes[size.label];
+                sizeStats.wins++;
+                sizeStats.bestTime = sizeStats.bestTime === null ? record.timeInSeconds : Math.min(sizeStats.bestTime, record.timeInSeconds);
+                sizeStats.bestMoves = sizeStats.bestMoves === null ? record.moves : Math.min(sizeStats.bestMoves, record.moves);
+            }
+
+            const optimalMoves = typeof record.optimalMoves === 'number' ? record.optimalMoves : null;
+            const wastedMoves = optimalMoves !== null ? Math.max(0, record.moves - optimalMoves) : null;
+            return context({
+                size: size.label,
+                rows: size.rows,
+                cols: size.cols,
+                cells: size.label ? size.rows * size.cols : null,
+                rectangular: size.label ? size.rows !== size.cols : null,
+                time: record.timeInSeconds,
+                moves: record.moves,
+                hintsUsed: record.hintsUsed,
+                undosUsed: record.undosUsed,
+                pauseCount: record.pauseCount,
+                daily: daily,
+                optimalMoves: optimalMoves,
+                efficiency: optimalMoves !== null && record.moves > 0 ? Math.min(1, optimalMoves / record.moves) : null,
+                wastedMoves: wastedMoves,
+                optimalWin: !!record.optimalExact && wastedMoves === 0,
+                score: typeof record.score === 'number' ? record.score : null
+            }, daily ? countDailyStreak(record.dailyChallenge) : 0);
+        }
+
+        /**
+         * Stats after every game added so far. The Daily Challenge streak
+         * only counts if it reaches today or yesterday (UTC days).
+         */
+        function snapshot(today = new Date().toISOString().slice(0, 10)) {
+            const live = lastDailyDay && lastDailyDay >= previousDay(today);
+            return context(null, live ? countDailyStreak(lastDailyDay) : 0);
+        }
+
+        return { add: add, snapshot: snapshot };
+    }
+
+    function byDate(games) {
+        return games.slice().sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+    }
+
+    /**
+     * A stat by path, e.g. 'sizes.4x4.wins'; undefined when missing
+     */
+    function getStat(context, path) {
+        return path.split('.').reduce((value, key) =>
+            value !== null && value !== undefined ? value[key] : undefined, context);
+    }
+
+    /**
+     * Whether every condition of a rule holds. Missing stats (older
+     * records, unknown optimal moves) never satisfy a condition.
+     */
+    function matches(rule, context) {
+        return rule.conditions.every(condition => {
+            const value = getStat(context, condition.stat);
+            if (value === null || value === undefined) return false;
+            return OPERATORS[condition.op](value, condition.value);
+        });
+    }
+
+    /**
+     * Enabled rules earned by the newest game in a player's history
+     * (none if that game was abandoned)
+     */
+    function evaluate(rules, games) {
+        const tracker = createTracker();
+        let context = null;
+        byDate(games).forEach(game => { context = tracker.add(game); });
+        if (!context) return [];
+        return rules.filter(rule => rule.enabled !== false && matches(rule, context));
+    }
+
+    /**
+     * Every enabled rule a player's history earns at some point, with the
+     * first game that earned it: [{ rule, game }]
+     */
+    function evaluateHistory(rules, games) {
+        const tracker = createTracker();
+        const earned = new Map();
+        byDate(games).forEach(game => {
+            const context = tracker.add(game);
+            if (!context) return;
+            rules.forEach(rule => {
+                if (rule.enabled !== false && !earned.has(rule.id) && matches(rule, context)) {
+                    earned.set(rule.id, { rule: rule, game: game });
+                }
+            });
+        });
+        return Array.from(earned.values());
+    }
+
+    /**
+     * How close a context is to a rule: { current, target, ratio } from its
+     * furthest-off counting condition. Null when the rule has none - those
+     * are earned in a single game and are either done or not.
+     */
+    function getRuleProgress(rule, context) {
+        let progress = null;
+        rule.conditions.forEach(condition => {
+            if (!COUNTING_STAT.test(condition.stat) || typeof condition.value !== 'number') return;
+            if (condition.op !== '>=' && condition.op !== '>') return;
+            const target = condition.op === '>' ? condition.value + 1 : condition.value;
+            if (target <= 0) return;
+            const current = Math.min(getStat(context, condition.stat) || 0, target);
+            if (!progress || current / target < progress.ratio) {
+                progress = { current: current, target: target, ratio: current / target };
+            }
+        });
+        return progress;
+    }
+
+    /**
+     * Progress toward every rule after a player's whole history:
+     * { [ruleId]: { current, target, ratio } or null }
+     */
+    function getProgress(rules, games, today) {
+        const tracker = createTracker();
+        byDate(games).forEach(game => tracker.add(game));
+        const context = tracker.snapshot(today);
+        const progress = {};
+        rules.forEach(rule => { progress[rule.id] = getRuleProgress(rule, context); });
+        return progress;
+    }
+
+    /**
+     * Milestones (see MILESTONES) the newest game carried locked rules past:
+     * [{ rule, milestone, progress }], only the highest one per rule
+     */
+    function getMilestones(rules, games, unlockedIds = []) {
+        const sorted = byDate(games);
+        const before = getProgress(rules, sorted.slice(0, -1));
+        const after = getProgress(rules, sorted);
+        const reached = [];
+        rules.forEach(rule => {
+            const was = before[rule.id];
+            const now = after[rule.id];
+            if (rule.enabled === false || unlockedIds.includes(rule.id) || !now || now.ratio >= 1) return;
+            const milestone = MILESTONES.filter(m => now.ratio >= m && (!was || was.ratio < m)).pop();
+            if (milestone) reached.push({ rule: rule, milestone: milestone, progress: now });
+        });
+        return reached;
+    }
+
+    /**
+     * Why a rule is invalid, or null when it is fine
+     */
+    function validateRule(rule) {
+        if (!rule || typeof rule !== 'object') return 'Rule must be an object';
+        if (!/^[a-z0-9_]+$/.test(rule.id || '')) return 'ID must use lowercase letters, digits and underscores';
+        if (!rule.name) return `${rule.id}: name is required`;
+        if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+            return `${rule.id}: at least one condition is required`;
+        }
+        for (const condition of rule.conditions) {
+            if (!STATS[condition.stat] && !SIZE_STAT.test(condition.stat)) {
+                return `${rule.id}: unknown stat "${condition.stat}"`;
+            }
+            if (!OPERATORS[condition.op]) return `${rule.id}: unknown operator "${condition.op}"`;
+            if (!['number', 'string', 'boolean'].includes(typeof condition.value)) {
+                return `${rule.id}: "${condition.stat}" needs a number, string or true/false value`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Readable form of a rule's conditions, e.g. 'game.size == "3x3" and game.time < 30'
+     */
+    function describeRule(rule) {
+        return rule.conditions.map(c => `${c.stat} ${c.op} ${JSON.stringify(c.value)}`).join(' and ');
+    }
+
+    function copyRules(rules) {
+        return JSON.parse(JSON.stringify(rules));
+    }
+
+    /**
+     * The current definitions: { version, updatedAt, updatedBy, rules }.
+     * Version 1 is the built-in set.
+     */
+    function loadDefinitions() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (stored && Array.isArray(stored.rules)) return stored;
+        } catch (e) {
+            console.error('Error parsing achievement rules:', e);
+        }
+        return { version: 1, updatedAt: null, updatedBy: null, rules: copyRules(DEFAULT_RULES) };
+    }
+
+    /**
+     * Earlier versions, newest first
+     */
+    function getHistory() {
+        return JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+    }
+
+    /**
+     * Store a new version of the rules. Throws if a rule is invalid or an
+     * ID is used twice. Returns the new definitions.
+     */
+    function saveDefinitions(rules, author) {
+        const ids = new Set();
+        rules.forEach(rule => {
+            const problem = validateRule(rule);
+            if (problem) throw new Error(problem);
+            if (ids.has(rule.id)) throw new Error(`${rule.id}: ID is used twice`);
+            ids.add(rule.id);
+        });
+
+        const previous = loadDefinitions();
+        const history = getHistory();
+        history.unshift(previous);
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(0, MAX_HISTORY)));
+
+        const definitions = {
+            version: previous.version + 1,
+            updatedAt: new Date().toISOString(),
+            updatedBy: author || null,
+            rules: copyRules(rules)
+        };
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(definitions));
+        return definitions;
+    }
+
+    return {
+        STATS: STATS,
+        OPERATORS: Object.keys(OPERATORS),
+        DEFAULT_RULES: copyRules(DEFAULT_RULES),
+        createTracker: createTracker,
+        getStat: getStat,
+        matches: matches,
+        evaluate: evaluate,
+        evaluateHistory: evaluateHistory,
+        MILESTONES: MILESTONES,
+        getRuleProgress: getRuleProgress,
+        getProgress: getProgress,
+        getMilestones: getMilestones,
+        validateRule: validateRule,
+        describeRule: describeRule,
+        loadDefinitions: loadDefinitions,
+        saveDefinitions: saveDefinitions,
+        getHistory: getHistory
+    };
+});
@@ -0,0 +1,155 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Daily Challenge
+ * Date-derived scrambles, one ranked attempt per player/size/day,
+ * per-day rankings and completion streaks
+ * Works as a browser global (window.DailyChallenge) or a CommonJS module in Node
+ *
+ * Days are UTC dates (YYYY-MM-DD) so every player gets the same puzzle.
+ * Attempts are stored in localStorage under fifteenPuzzleDailyChallenges.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DailyChallenge = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    const STORAGE_KEY = 'fifteenPuzzleDailyChallenges';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Difficulty band for every size; fixed so admin settings can't change the daily puzzle
+    const DIFFICULTY = 'hard';
+
+    /**
+     * UTC date key for a day, e.g. '2024-03-09'
+     */
+    function getDayKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * The day before a day key
+     */
+    function previousDay(day) {
+        return getDayKey(new Date(Date.parse(day) - DAY_MS));
+    }
+
+    /**
+     * The puzzle everyone plays for a size on a day, in the same
+     * { size, seed, difficulty } form as a shuffled game
+     */
+    function getPuzzle(size, day = getDayKey()) {
+        return {
+            size: size,
+            seed: `daily-${day}-${size}`,
+            difficulty: DIFFICULTY
+        };
+    }
+
+    function loadAttempts() {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    }
+
+    function saveAttempts(attempts) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(attempts));
+    }
+
+    /**
+     * A player's attempt for a size on a day, or null
+     */
+    function getAttempt(player, day, size) {
+        return loadAttempts().find(a => a.player === player && a.day === day && a.size === size) || null;
+    }
+
+    function hasAttempted(player, day, size) {
+        return getAttempt(player, day, size) !== null;
+    }
+
+    /**
+     * Use up the player's ranked attempt. Returns false if it was already used.
+     */
+    function startAttempt(player, day, size) {
+        const attempts = loadAttempts();
+        if (attempts.some(a => a.player === player && a.day === day && a.size === size)) return false;
+
+        attempts.push({
+            player: player,
+            day: day,
+            size: size,
+            status: 'started',
+            startedAt: new Date().toISOString()
+        });
+        saveAttempts(attempts);
+        return true;
+    }
+
+    /**
+     * Record the result of a started attempt
+     * result: { timeInSeconds, moves, hintsUsed, pauseCount, pausedSeconds }
+     */
+    function completeAttempt(player, day, size, result) {
+        const attempts = loadAttempts();
+        const attempt = attempts.find(a => a.player === player && a.day === day && a.size === size);
+        if (!attempt || attempt.status !== 'started') return null;
+
+        attempt.status = 'completed';
+        attempt.timeInSeconds = result.timeInSeconds;
+        attempt.moves = result.moves;
+        attempt.hintsUsed = result.hintsUsed || 0;
+        attempt.pauseCount = result.pauseCount || 0;
+        attempt.pausedSeconds = result.pausedSeconds || 0;
+        attempt.completedAt = new Date().toISOString();
+        saveAttempts(attempts);
+        return attempt;
+    }
+
+    /**
+     * Completed attempts for a day and size, fastest first (fewer moves breaks ties)
+     */
+    function getLeaderboard(day, size) {
+        return loadAttempts()
+            .filter(a => a.day === day && a.size === size && a.status === 'completed')
+            .sort((a, b) => a.timeInSeconds - b.timeInSeconds || a.moves - b.moves);
+    }
+
+    /**
+     * 1-based rank of a player's completed attempt, or null
+     */
+    function getRank(player, day, size) {
+        const index = getLeaderboard(day, size).findIndex(a => a.player === player);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Consecutive days (any size) the player completed a challenge. A streak
+     * still counts through today while today's challenge is not done yet.
+     */
+    function getStreak(player, today = getDayKey()) {
+        const days = new Set(loadAttempts()
+            .filter(a => a.player === player && a.status === 'completed')
+            .map(a => a.day));
+
+        let day = days.has(today) ? today : previousDay(today);
+        let streak = 0;
+        while (days.has(day)) {
+            streak++;
+            day = previousDay(day);
+        }
+        return streak;
+    }
+
+    return {
+        getDayKey: getDayKey,
+        getPuzzle: getPuzzle,
+        getAttempt: getAttempt,
+        hasAttempted: hasAttempted,
+        startAttempt: startAttempt,
+        completeAttempt: completeAttempt,
+        getLeaderboard: getLeaderboard,
+        getRank: getRank,
+        getStreak: getStreak
+    };
+});
@@ -0,0 +1,610 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Storage API
+ * One promise-based interface for preferences, game history, achievements,
+ * player stats and leaderboards, over a backend chosen by the admin:
+ *   'localStorage' - this browser, under the keys the game has always used (default)
+ *   'indexedDB'    - this browser, without localStorage's size limit
+ *   'rest'         - the server, through api.php
+ * The choice is the storageBackend field of fifteenPuzzleSystemConfig.
+ *
+ * REST writes go through a durable outbox (localStorage fifteenPuzzleOutbox):
+ * a write that can't reach the server is kept and retried with backoff, and
+ * carries an idempotency_key so the server can ignore a repeat delivery.
+ * Works as a browser global (window.DatabaseAPI) or a CommonJS module in Node
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./leaderboard-service.js'));
+    } else {
+        root.DatabaseAPI = factory(root.LeaderboardService);
+    }
+})(typeof self !== 'undefined' ? self : this, function(LeaderboardService) {
+    "use strict";
+
+    const CONFIG_KEY = 'fifteenPuzzleSystemConfig';
+    const DEFAULT_BACKEND = 'localStorage';
+    const GAMES_KEY = 'fifteenPuzzleGameStats';
+    const MAX_GAMES = 1000;       // Oldest games are dropped past this
+    const MAX_REPLAYS = 50;       // Newest games that keep their replay
+
+    const DB_NAME = 'fifteenPuzzleData';
+    const STORE_NAME = 'records';
+
+    const OUTBOX_KEY = 'fifteenPuzzleOutbox';
+    const RETRY_BASE_MS = 2000;           // First retry delay, doubled per failed attempt
+    const RETRY_MAX_MS = 5 * 60 * 1000;
+
+    /*
+     * Key-value backends: get(key) resolves to the stored value or null,
+     * set(key, value) stores any JSON-friendly value
+     */
+
+    function createLocalStorageBackend(storage) {
+        const getStorage = () => storage || localStorage;
+        return {
+            get(key) {
+                return Promise.resolve().then(() => JSON.parse(getStorage().getItem(key) || 'null'));
+            },
+            set(key, value) {
+                return Promise.resolve().then(() => getStorage().setItem(key, JSON.stringify(value)));
+            }
+        };
+    }
+
+    function createIndexedDBBackend(dbName = DB_NAME) {
+        function openDatabase() {
+            return new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = function() {
+                    request.result.createObjectStore(STORE_NAME);
+                };
+                request.onsuccess = function() { resolve(request.result); };
+                request.onerror = function() { reject(request.error); };
+            });
+        }
+
+        function runTransaction(mode, action) {
+            return openDatabase().then(db => new Promise((resolve, reject) => {
+                const transaction = db.transaction(STORE_NAME, mode);
+                const request = action(transaction.objectStore(STORE_NAME));
+                transaction.oncomplete = function() {
+                    db.close();
+                    resolve(request ? request.result : undefined);
+                };
+                transaction.onerror = function() {
+                    db.close();
+                    reject(transaction.error);
+                };
+            }));
+        }
+
+        return {
+            get(key) {
+                return runTransaction('readonly', store => store.get(key))
+                    .then(value => value === undefined ? null : value);
+            },
+            set(key, value) {
+                return runTransaction('readwrite', store => store.put(value, key)).then(() => undefined);
+            }
+        };
+    }
+
+    /**
+     * Totals for a list of game records: { totalGames, gamesWon,
+     * averageTime, bestTime, avgMoves } (times in seconds, null when no wins)
+     */
+    function summarizeGames(games) {
+        const won = games.filter(game => game.completed);
+        const average = field => won.length ?
+            won.reduce((sum, game) => sum + game[field], 0) / won.length : null;
+        return {
+            totalGames: games.length,
+            gamesWon: won.length,
+            averageTime: average('timeInSeconds'),
+            bestTime: won.length ? Math.min(...won.map(game => game.timeInSeconds)) : null,
+            avgMoves: won.length ? Math.round(average('moves')) : null
+        };
+    }
+
+    /**
+     * The storage interface over a key-value backend (localStorage or IndexedDB)
+     */
+    function createLocalStore(backend) {
+        const preferencesKey = user => `fifteenPuzzlePreferences_${user.username}`;
+        const achievementsKey = user => `fifteenPuzzleAchievements_${user.username}`;
+
+        function getGames(filter = {}) {
+            return backend.get(GAMES_KEY).then(games => (games || [])
+                .filter(game => !filter.player || game.player === filter.player));
+        }
+
+        return {
+            getPreferences(user) {
+                return backend.get(preferencesKey(user)).then(prefs => prefs || {});
+            },
+            savePreferences(user, preferences) {
+                return backend.set(preferencesKey(user), preferences);
+            },
+            getGames: getGames,
+            addGame(user, game) {
+                return getGames().then(games => {
+                    games.push(game);
+                    if (games.length > MAX_GAMES) {
+                        games.splice(0, games.length - MAX_GAMES);
+                    }
+                    // Replays are much bigger than the rest of a record, so only the newest ones keep theirs
+                    games.slice(0, -MAX_REPLAYS).forEach(old => { delete old.replay; });
+                    return backend.set(GAMES_KEY, games);
+                });
+            },
+            saveGames(games) {
+                return backend.set(GAMES_KEY, games);
+            },
+            getUserStats(user) {
+                return getGames({ player: user.username }).then(summarizeGames);
+            },
+            getAchievements(user) {
+                return backend.get(achievementsKey(user)).then(list => list || []);
+            },
+            saveAchievement(user, achievementId, details = {}) {
+                return backend.get(achievementsKey(user)).then(list => {
+                    list = list || [];
+                    if (list.some(a => a.id === achievementId)) return;
+                    list.push({
+                        id: achievementId,
+                        unlockedAt: details.unlockedAt || new Date().toISOString(),
+                        version: details.version || null
+                    });
+                    return backend.set(achievementsKey(user), list);
+                });
+            },
+            getAchievementStats(users) {
+                return Promise.all(users.map(user => backend.get(achievementsKey(user)))).then(lists => {
+                    const holders = {};
+                    lists.forEach(list => (list || []).forEach(a => { holders[a.id] = (holders[a.id] || 0) + 1; }));
+                    return { totalUsers: users.length, holders: holders };
+                });
+            },
+            getLeaderboard(size, type, options = {}) {
+                return getGames().then(games => LeaderboardService.rank(games, { ...options, size: size, type: type }));
+            }
+        };
+    }
+
+    /**
+     * POST a form to api.php. Rejects with error.retryable false when the
+     * server answered and refused, true when it couldn't be reached or failed.
+     */
+    function postForm(endpoint, action, fields) {
+        const formData = new FormData();
+        formData.append('action', action);
+        Object.keys(fields).forEach(name => {
+            if (fields[name] !== null && fields[name] !== undefined) formData.append(name, fields[name]);
+        });
+        return fetch(endpoint, { method: 'POST', body: formData }).then(response => {
+            return response.json().catch(() => {
+                const error = new Error(`Server error (HTTP ${response.status})`);
+                error.retryable = true;
+                throw error;
+            }).then(result => {
+                if (!result.success) {
+                    const error = new Error(result.message || 'Request failed');
+                    error.retryable = response.status >= 500;
+                    throw error;
+                }
+                return result;
+            });
+        }, networkError => {
+            networkError.retryable = true;
+            throw networkError;
+        });
+    }
+
+    /*
+     * Outbox - REST writes waiting to reach the server. Entries are
+     * { key, endpoint, action, fields, createdAt, attempts, nextAttemptAt, lastError }
+     * and key doubles as the idempotency key sent with the write.
+     */
+
+    let memoryOutbox = [];          // Used where there's no localStorage (Node)
+    const inFlight = new Set();
+    const syncListeners = [];
+    let flushing = null;
+    let retryTimer = null;
+
+    function loadOutbox() {
+        if (typeof localStorage === 'undefined') return memoryOutbox.slice();
+        try {
+            return JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function saveOutbox(entries) {
+        if (typeof localStorage === 'undefined') {
+            memoryOutbox = entries;
+        } else {
+            localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+        }
+        notifySync();
+    }
+
+    function updateEntry(key, change) {
+        const entries = loadOutbox();
+        const entry = entries.find(e => e.key === key);
+        if (entry) {
+            change(entry);
+            saveOutbox(entries);
+        }
+    }
+
+    function removeEntry(key) {
+        saveOutbox(loadOutbox().filter(e => e.key !== key));
+    }
+
+    function retryDelay(attempts) {
+        const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, attempts - 1));
+        return Math.round(delay * (0.5 + Math.random() / 2));   // Jitter so tabs don't retry in step
+    }
+
+    /**
+     * Try to send one outbox entry. Resolves true when the server took it,
+     * false when it stays queued for a retry; rejects when the server refused it.
+     */
+    function deliver(entry) {
+        inFlight.add(entry.key);
+        notifySync();
+        const fields = Object.assign({}, entry.fields, { idempotency_key: entry.key });
+        return postForm(entry.endpoint, entry.action, fields).then(() => {
+            removeEntry(entry.key);
+            return true;
+        }, error => {
+            if (!error.retryable) {
+                removeEntry(entry.key);
+                throw error;
+            }
+            updateEntry(entry.key, e => {
+                e.attempts++;
+                e.nextAttemptAt = Date.now() + retryDelay(e.attempts);
+                e.lastError = error.message;
+            });
+            return false;
+        }).finally(() => {
+            inFlight.delete(entry.key);
+            scheduleFlush();
+            notifySync();
+        });
+    }
+
+    /**
+     * Queue a REST write and make a first attempt. Resolves once the write
+     * has reached the server or is safely queued; rejects if it was refused.
+     */
+    function enqueue(endpoint, key, action, fields) {
+        const entries = loadOutbox();
+        let entry = entries.find(e => e.key === key);
+        if (!entry) {
+            entry = {
+                key: key,
+                endpoint: endpoint,
+                action: action,
+                fields: fields,
+                createdAt: new Date().toISOString(),
+                attempts: 0,
+                nextAttemptAt: Date.now(),
+                lastError: null
+            };
+            entries.push(entry);
+            saveOutbox(entries);
+        }
+        if (inFlight.has(key)) return Promise.resolve(false);
+        return deliver(entry);
+    }
+
+    /**
+     * Send queued writes that are due (all of them with force), oldest first.
+     * Stops at the first one that can't get through; the rest wait as long.
+     */
+    function flushOutbox(force = false) {
+        if (flushing) return flushing;
+        const now = Date.now();
+        const due = loadOutbox().filter(e => !inFlight.has(e.key) && (force || e.nextAttemptAt <= now));
+
+        flushing = due.reduce((chain, entry, index) => chain.then(online => {
+            if (!online) return false;
+            return deliver(entry).then(sent => {
+                if (!sent) {
+                    const failed = loadOutbox().find(e => e.key === entry.key);
+                    due.slice(index + 1).forEach(rest => updateEntry(rest.key, e => {
+                        e.nextAttemptAt = failed ? failed.nextAttemptAt : e.nextAttemptAt;
+                    }));
+                }
+                return sent;
+            }, error => {
+                console.error(`Server refused queued ${entry.action}:`, error);
+                return true;
+            });
+        }), Promise.resolve(true)).then(() => {
+            flushing = null;
+            scheduleFlush();
+        });
+        return flushing;
+    }
+
+    // Wake up when the next queued write is due
+    function scheduleFlush() {
+        if (typeof setTimeout === 'undefined') return;
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        const waiting = loadOutbox().filter(e => !inFlight.has(e.key));
+        if (waiting.length === 0) return;
+        const next = Math.min(...waiting.map(e => e.nextAttemptAt));
+        retryTimer = setTimeout(() => flushOutbox(), Math.max(0, next - Date.now()));
+        if (retryTimer.unref) retryTimer.unref();   // Don't hold Node open
+    }
+
+    /**
+     * { pending, syncing, nextAttemptAt, lastError } for the outbox
+     */
+    function getSyncStatus() {
+        const entries = loadOutbox();
+        const waiting = entries.filter(e => !inFlight.has(e.key));
+        const failed = entries.filter(e => e.lastError);
+        return {
+            pending: entries.length,
+            syncing: inFlight.size > 0,
+            nextAttemptAt: waiting.length ? Math.min(...waiting.map(e => e.nextAttemptAt)) : null,
+            lastError: failed.length ? failed[failed.length - 1].lastError : null
+        };
+    }
+
+    /**
+     * Call listener(status) now and whenever the outbox changes
+     */
+    function onSyncChange(listener) {
+        syncListeners.push(listener);
+        listener(getSyncStatus());
+    }
+
+    function notifySync() {
+        if (syncListeners.length === 0) return;
+        const status = getSyncStatus();
+        syncListeners.forEach(listener => listener(status));
+    }
+
+    // Queued writes for an action, as their fields (what the server will receive)
+    function getPendingFields(endpoint, action) {
+        return loadOutbox()
+            .filter(e => e.endpoint === endpoint && e.action === action)
+            .map(e => e.fields);
+    }
+
+    /**
+     * The storage interface over api.php. Every action answers
+     * { success, ... }; anything else rejects. Reads include this browser's
+     * writes that are still waiting in the outbox.
+     */
+    function createRestStore(endpoint = 'api.php') {
+        function get(action, params = {}) {
+            const query = new URLSearchParams({ action: action, ...params });
+            return fetch(`${endpoint}?${query}`)
+                .then(response => response.json())
+                .then(result => {
+                    if (!result.success) throw new Error(result.message || 'Request failed');
+                    return result;
+                });
+        }
+
+        function getGames(filter = {}) {
+            return get('get_games', filter.player ? { username: filter.player } : {}).then(result => {
+                const games = result.games || [];
+                getPendingFields(endpoint, 'save_game_stats').forEach(fields => {
+                    const game = JSON.parse(fields.game);
+                    if ((!filter.player || game.player === filter.player) && !games.some(g => g.id === game.id)) {
+                        games.push(game);
+                    }
+                });
+                return games;
+            });
+        }
+
+        return {
+            getPreferences(user) {
+                return get('get_preferences', { user_id: user.id }).then(result => {
+                    const pending = getPendingFields(endpoint, 'save_preferences')
+                        .filter(fields => String(fields.user_id) === String(user.id));
+                    return pending.length ?
+                        JSON.parse(pending[pending.length - 1].preferences) :
+                        result.preferences || {};
+                });
+            },
+            savePreferences(user, preferences) {
+                return enqueue(endpoint, createKey(`preferences_${user.id}`), 'save_preferences', {
+                    user_id: user.id,
+                    preferences: JSON.stringify(preferences)
+                }).then(() => undefined);
+            },
+            getGames: getGames,
+            addGame(user, game) {
+                // The game id is unique, so it is also the idempotency key
+                return enqueue(endpoint, game.id, 'save_game_stats', {
+                    user_id: user.id,
+                    puzzle_size: game.puzzleSize,
+                    completed: game.completed ? 1 : 0,
+                    completion_time: game.timeInSeconds,
+                    moves: game.moves,
+                    optimal_moves: game.optimalMoves,
+                    efficiency: game.efficiency,
+                    score: game.score,
+                    hints_used: game.hintsUsed,
+                    undos_used: game.undosUsed,
+                    pause_count: game.pauseCount,
+                    paused_seconds: game.pausedSeconds,
+                    puzzle_code: game.puzzleCode,
+                    daily_challenge: game.dailyRanked ? game.dailyChallenge : null,
+                    background: game.background,
+                    game: JSON.stringify(game)
+                }).then(() => undefined);
+            },
+            saveGames(games) {
+                return postForm(endpoint, 'save_games', { games: JSON.stringify(games) }).then(() => undefined);
+            },
+            getUserStats(user) {
+                return getGames({ player: user.username }).then(summarizeGames);
+            },
+            getAchievements(user) {
+                return get('get_user_achievements', { user_id: user.id }).then(result => {
+                    const achievements = (result.achievements || []).map(a => ({
+                        id: a.achievement_id,
+                        unlockedAt: a.unlocked_at,
+                        version: a.rules_version || null
+                    }));
+                    getPendingFields(endpoint, 'save_achievement').forEach(fields => {
+                        if (String(fields.user_id) === String(user.id) && !achievements.some(a => a.id === fields.achievement_id)) {
+                            achievements.push({
+                                id: fields.achievement_id,
+                                unlockedAt: fields.unlocked_at,
+                                version: fields.rules_version || null
+                            });
+                        }
+                    });
+                    return achievements;
+                });
+            },
+            saveAchievement(user, achievementId, details = {}) {
+                // A user unlocks an achievement once, so the pair is the idempotency key
+                return enqueue(endpoint, `achievement_${user.id}_${achievementId}`, 'save_achievement', {
+                    user_id: user.id,
+                    achievement_id: achievementId,
+                    unlocked_at: details.unlockedAt || new Date().toISOString(),
+                    rules_version: details.version || null
+                }).then(() => undefined);
+            },
+            getAchievementStats() {
+                return get('get_achievement_stats').then(result => ({
+                    totalUsers: result.total_users || 0,
+                    holders: result.holders || {}
+                }));
+            },
+            getLeaderboard(size, type, options = {}) {
+                return get('get_leaderboard', { puzzle_size: size, type: type, window: options.window || 'all' })
+                    .then(result => LeaderboardService.paginate(result.leaderboard || [], options), error => {
+                        // No server: rank this browser's game history and the games waiting to be sent
+                        console.error('Leaderboard unavailable from the server, ranking local games:', error);
+                        return createLocalStorageBackend().get(GAMES_KEY).then(games => {
+                            const local = (games || []).concat(getPendingFields(endpoint, 'save_game_stats')
+                                .map(fields => JSON.parse(fields.game)));
+                            return LeaderboardService.rank(local, { ...options, size: size, type: type });
+                        });
+                    });
+            }
+        };
+    }
+
+    function createKey(prefix) {
+        return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    const BACKENDS = {
+        localStorage: () => createLocalStore(createLocalStorageBackend()),
+        indexedDB: () => createLocalStore(createIndexedDBBackend()),
+        rest: () => createRestStore()
+    };
+
+    /**
+     * Run a store's calls one after another, so a read made after a write
+     * on the same page sees it
+     */
+    function serialize(store) {
+        let queue = Promise.resolve();
+        const serialized = {};
+        Object.keys(store).forEach(name => {
+            serialized[name] = function(...args) {
+                const result = queue.then(() => store[name](...args));
+                queue = result.catch(() => {});
+                return result;
+            };
+        });
+        return serialized;
+    }
+
+    /**
+     * A store for a backend name ('localStorage', 'indexedDB' or 'rest')
+     */
+    function create(backendName) {
+        if (!BACKENDS[backendName]) throw new Error(`Unknown storage backend: ${backendName}`);
+        return serialize(BACKENDS[backendName]());
+    }
+
+    /**
+     * The backend named in the system configuration, or the default
+     */
+    function getConfiguredBackend() {
+        if (typeof localStorage === 'undefined') return DEFAULT_BACKEND;
+        try {
+            const config = JSON.parse(localStorage.getItem(CONFIG_KEY) || '{}');
+            return BACKENDS[config.storageBackend] ? config.storageBackend : DEFAULT_BACKEND;
+        } catch (e) {
+            return DEFAULT_BACKEND;
+        }
+    }
+
+    let activeStore = null;
+    let activeBackend = null;
+
+    // Picked again on every call, so an admin's change applies without a reload
+    function current() {
+        const backendName = getConfiguredBackend();
+        if (backendName !== activeBackend) {
+            activeStore = create(backendName);
+            activeBackend = backendName;
+        }
+        return activeStore;
+    }
+
+    const api = {
+        BACKENDS: Object.keys(BACKENDS),
+        DEFAULT_BACKEND: DEFAULT_BACKEND,
+        MAX_GAMES: MAX_GAMES,
+        MAX_REPLAYS: MAX_REPLAYS,
+        create: create,
+        createLocalStore: createLocalStore,
+        createLocalStorageBackend: createLocalStorageBackend,
+        createIndexedDBBackend: createIndexedDBBackend,
+        createRestStore: createRestStore,
+        getConfiguredBackend: getConfiguredBackend,
+        getSyncStatus: getSyncStatus,
+        onSyncChange: onSyncChange,
+        flushOutbox: flushOutbox,
+        summarizeGames: summarizeGames
+    };
+
+    // getPreferences(user), savePreferences(user, prefs), getGames({ player }),
+    // addGame(user, game), saveGames(games), getUserStats(user),
+    // getAchievements(user), saveAchievement(user, id, { version, unlockedAt }),
+    // getAchievementStats(users) -> { totalUsers, holders: { [id]: count } },
+    // getLeaderboard(size, type, { window, page, pageSize, player })
+    //     -> { rows, total, page, pages, pageSize, own } (see leaderboard-service.js)
+    ['getPreferences', 'savePreferences', 'getGames', 'addGame', 'saveGames', 'getUserStats',
+        'getAchievements', 'saveAchievement', 'getAchievementStats', 'getLeaderboard'].forEach(name => {
+        api[name] = (...args) => current()[name](...args);
+    });
+
+    // Retry queued writes on page load, when the connection returns,
+    // and show changes another tab makes to the outbox
+    if (typeof window !== 'undefined' && window.addEventListener) {
+        window.addEventListener('online', () => flushOutbox(true));
+        window.addEventListener('storage', e => {
+            if (e.key === OUTBOX_KEY) notifySync();
+        });
+        scheduleFlush();
+    }
+
+    return api;
+});
@@ -8,16 +8,39 @@
 
 // Global constants - Clean and simple
 const ANIMATION_DURATION = 300;
+const KEYBOARD_MODE_KEY = 'fifteenPuzzleKeyboardMode';
+const SWIPE_THRESHOLD = 30;   // Pixels a finger must travel to count as a swipe
+const FLICK_DURATION = 250;   // A drag released this quickly commits past the swipe threshold
+const SAVED_GAME_PREFIX = 'fifteenPuzzleSavedGame_'; // + user id (or 'guest'), see getSavedGameKey
+
+// Arrow/WASD key -> direction the pressed key points
+const KEYBOARD_DIRECTIONS = {
+    ArrowUp: 'up', w: 'up',
+    ArrowDown: 'down', s: 'down',
+    ArrowLeft: 'left', a: 'left',
+    ArrowRight: 'right', d: 'right'
+};
 
 // Global variables
-let puzzleSize = 4;
-let tiles = [];
-let emptyPosition = { row: 0, col: 0 };
+let puzzleSize = 4;     // Board size: a number for square boards or 'ROWSxCOLS' (e.g. '3x5')
+let engine = null;      // PuzzleEngine holding the numeric board
+let tileElements = {};  // Tile number -> DOM element
 let gameStartTime = null;
 let gameTimer = null;
 let moveCount = 0;
 let gameStarted = false;
 let isAnimating = false;
+let undosUsed = 0;
+let pausedAt = null;    // When the clock was paused (ms timestamp), null while it runs
+let pauseCount = 0;
+let pausedTime = 0;     // Milliseconds spent paused in finished pauses this game
+let gameRecording = null; // Replay of the current game: starting board and timed moves
+let currentPuzzle = null; // How the current board was made: { size, seed, difficulty }, { size, seed, steps } or { size, board }
+let nextPuzzle = null;    // Puzzle from a share link, used by the next shuffle
+let dailyChallenge = null; // { day, ranked } while playing the Daily Challenge
+let keyboardMode = localStorage.getItem(KEYBOARD_MODE_KEY) || 'tile'; // Arrows move the 'tile' or the 'blank'
+let touchGesture = null;    // Swipe or drag in progress on the board (touch and pen only)
+let suppressClickUntil = 0; // Swallow the click browsers send after a handled gesture
 let currentBackground = "resources/background1.png";
 let currentUser = null;
 let backgroundImageId = 1;
@@ -41,29 +64,84 @@ function getContainerSize() {
  * Calculate tile size - slightly smaller to avoid cutoff
  */
 function getTileSize() {
-    const containerSize = getContainerSize();
-    // Make tiles 98% of the calculated size to just avoid cutoff
-    return Math.floor((containerSize * 0.98) / puzzleSize);
+    return PuzzleRenderer.getTileSize(getContainerSize(), puzzleSize);
+}
+
+/**
+ * Size value from a size radio or select ('4' -> 4, '3x5' stays '3x5')
+ */
+function parseSizeValue(value) {
+    const dims = PuzzleEngine.parseSize(value);
+    return PuzzleEngine.formatSize(dims.rows, dims.cols);
+}
+
+/**
+ * Display label for the current size, e.g. '4x4' or '3x5'
+ */
+function getSizeLabel() {
+    return PuzzleEngine.getSizeLabel(puzzleSize);
+}
+
+/**
+ * Shrink the puzzle area to fit a rectangular board (square boards use the CSS size)
+ */
+function sizePuzzleArea() {
+    const puzzleArea = document.getElementById('puzzleArea');
+    puzzleArea.style.width = '';
+    puzzleArea.style.height = '';
+    
+    const board = PuzzleRenderer.getBoardSize(getContainerSize(), puzzleSize);
+    if (board.width === board.height) return;
+    
+    // The area is border-box sized, so add its border back on
+    const border = puzzleArea.offsetWidth - puzzleArea.clientWidth;
+    puzzleArea.style.width = (board.width + border) + 'px';
+    puzzleArea.style.height = (board.height + border) + 'px';
 }
 
 /**
  * Get tile position in pixels - no gaps, just smaller tiles
  */
 function getTilePosition(row, col) {
-    const tileSize = getTileSize();
+    return PuzzleRenderer.getTilePosition(row, col, getTileSize());
+}
+
+/**
+ * Board size, container size and background used by PuzzleRenderer
+ */
+function getRenderOptions() {
     return {
-        left: col * tileSize,
-        top: row * tileSize
+        size: puzzleSize,
+        containerSize: getContainerSize(),
+        background: currentBackground
     };
 }
 
-// Best scores (stored in localStorage)
+/**
+ * Mode personal bests are kept under (see personal-bests.js): ranked Daily
+ * Challenges, the scramble difficulty, or 'custom' for shared boards and
+ * Daily Challenge practice. Before a game it is the difficulty the next one gets.
+ */
+function getGameMode() {
+    if (dailyChallenge) return dailyChallenge.ranked ? 'daily' : 'custom';
+    if (currentPuzzle) return currentPuzzle.difficulty in PersonalBests.MODES ? currentPuzzle.difficulty : 'custom';
+    return gameConfig.shuffleComplexity;
+}
+
+// Personal bests of the signed-in player (or the guest) for this size and mode
+function getPersonalBests() {
+    return PersonalBests.get(currentUser ? currentUser.username : null,
+        PuzzleEngine.getSizeLabel(puzzleSize), getGameMode());
+}
+
 function getBestTime() {
-    return localStorage.getItem(`bestTime_${puzzleSize}`) || null;
+    const best = getPersonalBests().time;
+    return best ? best.value : null;
 }
 
 function getBestMoves() {
-    return localStorage.getItem(`bestMoves_${puzzleSize}`) || null;
+    const best = getPersonalBests().moves;
+    return best ? best.value : null;
 }
 
 /**
@@ -74,6 +152,7 @@ window.addEventListener('load', async function() {
     setupEventListeners();  // Set up event listeners first
     await checkUserAuthentication();  // Then check authentication
     updateBestStats();
+    updateDailyChallengeInfo();
     updateGameStatus('ready');
     preloadAudio();
     
@@ -87,9 +166,18 @@ window.addEventListener('load', async function() {
     // Listen for background changes from admin panel
     setupBackgroundChangeListener();
     
+    setupSyncIndicator();
+    
     // Load and apply system configuration
     loadSystemConfiguration();
     
+    // Open a puzzle shared through a link (#size=4&seed=...), otherwise offer to resume
+    if (parsePuzzleHash(window.location.hash)) {
+        loadSharedPuzzle();
+    } else {
+        offerSavedGame();
+    }
+    
     // Puzzle starts in solved position - user clicks "New Game" to start
 });
 
@@ -114,6 +202,26 @@ function setupBackgroundChangeListener() {
     });
 }
 
+/**
+ * Show how many results are waiting in the storage outbox to reach the
+ * server; clicking the indicator retries them straight away
+ */
+function setupSyncIndicator() {
+    const indicator = document.getElementById('syncStatus');
+    if (!indicator) return;
+    
+    indicator.addEventListener('click', () => DatabaseAPI.flushOutbox(true));
+    DatabaseAPI.onSyncChange(status => {
+        indicator.classList.toggle('hidden', status.pending === 0);
+        indicator.classList.toggle('syncing', status.syncing);
+        const results = status.pending === 1 ? '1 result' : `${status.pending} results`;
+        indicator.textContent = status.syncing ? `🔄 Syncing ${results}...` : `⏳ ${results} waiting to sync`;
+        indicator.title = status.lastError ?
+            `Last attempt failed: ${status.lastError}. Retrying automatically - click to retry now.` :
+            'Saved on this device until the server can be reached. Click to retry now.';
+    });
+}
+
 /**
  * Preload audio files to fix first-play issues
  */
@@ -144,9 +252,59 @@ function setupEventListeners() {
     const musicOffButton = document.getElementById('musicOffButton');
     
     if (startButton) startButton.addEventListener('click', startGame);
-    if (shuffleButton) shuffleButton.addEventListener('click', shufflePuzzle);
+    if (shuffleButton) shuffleButton.addEventListener('click', () => shufflePuzzle());
     if (resetButton) resetButton.addEventListener('click', resetPuzzle);
     if (cheatButton) cheatButton.addEventListener('click', solvePuzzle);
+    
+    const hintButton = document.getElementById('hintButton');
+    if (hintButton) hintButton.addEventListener('click', showHint);
+    
+    const undoButton = document.getElementById('undoButton');
+    const redoButton = document.getElementById('redoButton');
+    if (undoButton) undoButton.addEventListener('click', undoMove);
+    if (redoButton) redoButton.addEventListener('click', redoMove);
+    document.addEventListener('keydown', handleUndoShortcut);
+    document.addEventListener('keydown', handleKeyboardControls);
+    
+    const keyboardModeSelect = document.getElementById('keyboardMode');
+    if (keyboardModeSelect) {
+        keyboardModeSelect.value = keyboardMode;
+        keyboardModeSelect.addEventListener('change', function() {
+            keyboardMode = this.value;
+            localStorage.setItem(KEYBOARD_MODE_KEY, keyboardMode);
+        });
+    }
+    
+    setupTouchControls();
+    
+    const cancelSolveButton = document.getElementById('cancelSolveButton');
+    if (cancelSolveButton) cancelSolveButton.addEventListener('click', cancelSolve);
+    
+    const sharePuzzleButton = document.getElementById('sharePuzzleButton');
+    const shareScoreButton = document.getElementById('shareScoreButton');
+    if (sharePuzzleButton) sharePuzzleButton.addEventListener('click', sharePuzzle);
+    if (shareScoreButton) shareScoreButton.addEventListener('click', shareResult);
+    window.addEventListener('hashchange', loadSharedPuzzle);
+    
+    const pauseButton = document.getElementById('pauseButton');
+    const resumeButton = document.getElementById('resumeButton');
+    if (pauseButton) pauseButton.addEventListener('click', togglePause);
+    if (resumeButton) resumeButton.addEventListener('click', resumeGame);
+    // Pause by itself when the player switches tab or window
+    window.addEventListener('blur', () => pauseGame('auto'));
+    
+    // Autosave: keep the in-progress game when the tab is hidden or closed
+    const resumeGameButton = document.getElementById('resumeGameButton');
+    const discardGameButton = document.getElementById('discardGameButton');
+    if (resumeGameButton) resumeGameButton.addEventListener('click', resumeSavedGame);
+    if (discardGameButton) discardGameButton.addEventListener('click', clearSavedGame);
+    window.addEventListener('pagehide', saveGameInProgress);
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'hidden') {
+            pauseGame('auto');
+            saveGameInProgress();
+        }
+    });
     if (backgroundSelect) backgroundSelect.addEventListener('change', changeBackground);
     if (musicOffButton) musicOffButton.addEventListener('click', toggleBackgroundMusic);
     
@@ -333,9 +491,41 @@ function continueSetupEventListeners() {
     const leaderboardPuzzleSize = document.getElementById('leaderboardPuzzleSize');
     const leaderboardType = document.getElementById('leaderboardType');
     
+    const leaderboardWindow = document.getElementById('leaderboardWindow');
+    const firstLeaderboardPage = () => {
+        leaderboardPage = 1;
+        loadLeaderboards();
+    };
+    
     if (refreshLeaderboard) refreshLeaderboard.addEventListener('click', loadLeaderboards);
-    if (leaderboardPuzzleSize) leaderboardPuzzleSize.addEventListener('change', loadLeaderboards);
-    if (leaderboardType) leaderboardType.addEventListener('change', loadLeaderboards);
+    if (leaderboardPuzzleSize) leaderboardPuzzleSize.addEventListener('change', firstLeaderboardPage);
+    if (leaderboardType) leaderboardType.addEventListener('change', firstLeaderboardPage);
+    if (leaderboardWindow) leaderboardWindow.addEventListener('change', firstLeaderboardPage);
+    
+    const leaderboardPrev = document.getElementById('leaderboardPrev');
+    const leaderboardNext = document.getElementById('leaderboardNext');
+    if (leaderboardPrev) leaderboardPrev.addEventListener('click', () => changeLeaderboardPage(-1));
+    if (leaderboardNext) leaderboardNext.addEventListener('click', () => changeLeaderboardPage(1));
+    
+    // Leaderboard modal tabs set the type, then reload
+    document.querySelectorAll('.leaderboard-tabs .tab-btn').forEach(tab => {
+        tab.addEventListener('click', function() {
+            showLeaderboard(this.dataset.tab);
+        });
+    });
+    
+    const leaderboardModal = document.getElementById('leaderboardModal');
+    const closeLeaderboardModal = document.getElementById('closeLeaderboardModal');
+    if (leaderboardModal && closeLeaderboardModal) {
+        closeLeaderboardModal.addEventListener('click', () => leaderboardModal.classList.add('hidden'));
+        leaderboardModal.querySelector('.modal-overlay').addEventListener('click', () => leaderboardModal.classList.add('hidden'));
+    }
+    
+    // Daily Challenge
+    const dailyChallengeButton = document.getElementById('dailyChallengeButton');
+    const dailyLeaderboardButton = document.getElementById('dailyLeaderboardButton');
+    if (dailyChallengeButton) dailyChallengeButton.addEventListener('click', startDailyChallenge);
+    if (dailyLeaderboardButton) dailyLeaderboardButton.addEventListener('click', () => showLeaderboard('daily', puzzleSize));
     
     // Preferences form
     const preferencesForm = document.getElementById('preferencesForm');
@@ -367,6 +557,7 @@ function continueSetupEventListeners() {
     window.addEventListener('resize', function() {
         clearTimeout(resizeTimeout);
         resizeTimeout = setTimeout(function() {
+            sizePuzzleArea();
             updateAllTiles();
         }, 250); // Debounce resize events
     });
@@ -412,11 +603,15 @@ function startGame() {
     
     // Start tracking this new game
     startGameTracking();
+    hideResumePrompt();
+    updatePauseButton();
+    saveGameInProgress();
     
     // Update button states
     document.getElementById('startButton').textContent = 'Restart';
     document.getElementById('shuffleButton').disabled = false;
     document.getElementById('cheatButton').disabled = false;
+    updateHintButton();
     
     updateGameStatus('playing');
 }
@@ -441,22 +636,41 @@ function initializeGame() {
     
     // Container size is now fixed in CSS - no need to set it here
     
-    // Initialize tiles array
-    tiles = [];
-    for (let row = 0; row < puzzleSize; row++) {
-        tiles[row] = [];
-        for (let col = 0; col < puzzleSize; col++) {
-            if (row === puzzleSize - 1 && col === puzzleSize - 1) {
-                // Empty position
-                tiles[row][col] = null;
-                emptyPosition = { row: row, col: col };
-            } else {
-                const tileNumber = row * puzzleSize + col + 1;
-                const tile = createTile(tileNumber, row, col);
-                tiles[row][col] = tile;
-                puzzleArea.appendChild(tile);
-            }
+    // Create a fresh engine in the solved position and render a tile per number
+    stopSolving();
+    engine = new PuzzleEngine(puzzleSize);
+    stopAnalysisWorker();
+    scrambleOptimum = null;
+    engine.on('move', function(move) {
+        playMoveSound();
+        // An undo either counts as a move or takes the undone move back off the count
+        if (move.type === 'undo' && !gameConfig.undoCountsAsMove) {
+            decrementMoveCount();
+        } else {
+            incrementMoveCount();
         }
+        clearHint();
+        updateUndoButtons();
+        recordReplayMove(move);
+        // Solver playback finishes the game itself, so skip saving every step of it
+        if (!isSolving) saveGameInProgress();
+    });
+    engine.on('change', function() {
+        clearHint();
+        updateUndoButtons();
+    });
+    hintPlan = null;
+    gameRecording = null;
+    currentPuzzle = null;
+    updateShareButton();
+    
+    sizePuzzleArea();
+    
+    tileElements = {};
+    for (let number = 1; number < engine.board.length; number++) {
+        const tile = createTile(number);
+        tileElements[number] = tile;
+        puzzleArea.appendChild(tile);
     }
     
     // Reset game state
@@ -469,10 +683,11 @@ function initializeGame() {
  * Enable tile interaction (allows movement before game starts)
  */
 function enableTileInteraction() {
-    for (let row = 0; row < puzzleSize; row++) {
-        for (let col = 0; col < puzzleSize; col++) {
-            if (tiles[row][col]) {
-                updateTileMovability(tiles[row][col], row, col);
+    for (let row = 0; row < engine.rows; row++) {
+        for (let col = 0; col < engine.cols; col++) {
+            const number = engine.getTile(row, col);
+            if (number !== 0) {
+                updateTileMovability(tileElements[number], row, col);
             }
         }
     }
@@ -512,62 +727,25 @@ function showMovePreview(hoveredRow, hoveredCol) {
  * Clear all move preview highlighting
  */
 function clearMovePreview() {
-    for (let row = 0; row < puzzleSize; row++) {
-        for (let col = 0; col < puzzleSize; col++) {
-            if (tiles[row][col]) {
-                tiles[row][col].classList.remove('move-preview');
-            }
-        }
-    }
+    Object.values(tileElements).forEach(tile => {
+        tile.classList.remove('move-preview');
+    });
 }
 
 /**
- * Create a tile element with proper sizing
+ * Create a tile element with proper sizing, placed where the engine has it
  */
-function createTile(number, row, col) {
-    const tile = document.createElement('div');
-    tile.className = 'puzzle-tile';
-    tile.textContent = number;
+function createTile(number) {
+    const tile = PuzzleRenderer.createTileElement(number);
     tile.id = `tile_${number}`;
     
-    // Get sizes
-    const tileSize = getTileSize();
-    const position = getTilePosition(row, col);
-    
-    // Set position and size
-    tile.style.left = position.left + 'px';
-    tile.style.top = position.top + 'px';
-    tile.style.width = tileSize + 'px';
-    tile.style.height = tileSize + 'px';
-    
-    // Set font size proportional to tile size
-    const fontSize = Math.max(14, Math.floor(tileSize * 0.3));
-    tile.style.fontSize = fontSize + 'px';
-    tile.style.lineHeight = tileSize + 'px';
-    
-    // Set background image
-    setTileBackground(tile, number);
+    renderTile(tile, number);
     
     // Add click handler
     tile.addEventListener('click', function() {
-        if (!isAnimating) {
-            const currentPos = findTilePosition(tile);
-            if (currentPos) {
-                // Try multi-tile move first
-                if (moveMultipleTiles(currentPos.row, currentPos.col)) {
-                    if (!gameStartTime && gameStarted) {
-                        startTimer();
-                    }
-                }
-                // Single tile move as fallback (for adjacent tiles)
-                else if (canMoveTile(currentPos.row, currentPos.col)) {
-                    moveTile(currentPos.row, currentPos.col);
-                    
-                    if (!gameStartTime && gameStarted) {
-                        startTimer();
-                    }
-                }
-            }
+        const currentPos = findTilePosition(tile);
+        if (currentPos) {
+            playerSlide(currentPos.row, currentPos.col);
         }
     });
     
@@ -588,67 +766,32 @@ function createTile(number, row, col) {
     return tile;
 }
 
+/**
+ * Size and position a tile element from the engine's board
+ */
+function renderTile(tile, number) {
+    PuzzleRenderer.renderTile(tile, number, engine.positionOf(number), getRenderOptions());
+}
+
 /**
  * Set background image for tile
  */
 function setTileBackground(tile, number) {
-    // Calculate which part of the image this tile should show
-    // For a 4x4 puzzle, number 1 should show the top-left part, number 2 the second part in top row, etc.
-    const row = Math.floor((number - 1) / puzzleSize);
-    const col = (number - 1) % puzzleSize;
-    
-    const tileSize = getTileSize();
-    const containerSize = getContainerSize();
-    
-    // Clear any existing background
-    tile.style.background = '';
-    tile.style.backgroundImage = '';
-    tile.style.backgroundSize = '';
-    tile.style.backgroundPosition = '';
-    tile.style.backgroundRepeat = '';
-    
-    // If no custom background is set, use default tile styling
-    if (!currentBackground || currentBackground === 'Default' || currentBackground === '') {
-        tile.style.removeProperty('background');
-        tile.style.removeProperty('background-image');
-        return;
-    }
-    
-    // Position the background to show the correct portion for this tile
-    const backgroundX = -(col * tileSize);
-    const backgroundY = -(row * tileSize);
-    
-    // Set the background image with proper overlay for number visibility
-    tile.style.background = `
-        linear-gradient(rgba(0, 0, 0, 0.25), rgba(0, 0, 0, 0.25)), 
-        url('${currentBackground}')
-    `;
-    tile.style.backgroundSize = `auto, ${containerSize}px ${containerSize}px`;
-    tile.style.backgroundPosition = `center, ${backgroundX}px ${backgroundY}px`;
-    tile.style.backgroundRepeat = 'no-repeat, no-repeat';
+    PuzzleRenderer.setTileBackground(tile, number, getRenderOptions());
 }
 
 /**
  * Find the current position of a tile in the grid
  */
 function findTilePosition(tile) {
-    for (let row = 0; row < puzzleSize; row++) {
-        for (let col = 0; col < puzzleSize; col++) {
-            if (tiles[row][col] === tile) {
-                return { row: row, col: col };
-            }
-        }
-    }
-    return null;
+    return engine.positionOf(parseInt(tile.dataset.number));
 }
 
 /**
  * Check if a tile can be moved (is adjacent to empty space)
  */
 function canMoveTile(row, col) {
-    const rowDiff = Math.abs(row - emptyPosition.row);
-    const colDiff = Math.abs(col - emptyPosition.col);
-    return (rowDiff === 1 && colDiff === 0) || (rowDiff === 0 && colDiff === 1);
+    return engine.isAdjacent(row, col);
 }
 
 /**
@@ -656,56 +799,44 @@ function canMoveTile(row, col) {
  * (same row or column as empty space)
  */
 function canMoveTileMulti(row, col) {
-    // Must be in same row or column as empty space
-    return (row === emptyPosition.row) || (col === emptyPosition.col);
+    return engine.canSlide(row, col);
 }
 
 /**
  * Get all tiles that need to move when clicking on a specific tile
  */
 function getTilesToMove(clickedRow, clickedCol) {
-    const tilesToMove = [];
-    
-    // Check if tile is in same row or column as empty space
-    if (!canMoveTileMulti(clickedRow, clickedCol)) {
-        return tilesToMove;
-    }
+    return engine.getSlide(clickedRow, clickedCol).map(move => ({
+        ...move,
+        tile: tileElements[move.value]
+    }));
+}
+
+/**
+ * Animate tile elements to the cells the engine just moved them to
+ */
+function animateTileMoves(moves) {
+    isAnimating = true;
     
-    if (clickedRow === emptyPosition.row) {
-        // Same row - slide horizontally
-        const startCol = Math.min(clickedCol, emptyPosition.col);
-        const endCol = Math.max(clickedCol, emptyPosition.col);
+    moves.forEach(move => {
+        const tile = tileElements[move.value];
+        const newPosition = getTilePosition(move.toRow, move.toCol);
         
-        for (let col = startCol; col <= endCol; col++) {
-            if (col !== emptyPosition.col && tiles[clickedRow][col]) {
-                tilesToMove.push({
-                    tile: tiles[clickedRow][col],
-                    fromRow: clickedRow,
-                    fromCol: col,
-                    toRow: clickedRow,
-                    toCol: col + (clickedCol < emptyPosition.col ? 1 : -1)
-                });
-            }
-        }
-    } else if (clickedCol === emptyPosition.col) {
-        // Same column - slide vertically
-        const startRow = Math.min(clickedRow, emptyPosition.row);
-        const endRow = Math.max(clickedRow, emptyPosition.row);
+        tile.classList.add('sliding');
+        tile.style.left = newPosition.left + 'px';
+        tile.style.top = newPosition.top + 'px';
+    });
+    
+    setTimeout(() => {
+        moves.forEach(move => tileElements[move.value].classList.remove('sliding'));
+        isAnimating = false;
+        enableTileInteraction();
         
-        for (let row = startRow; row <= endRow; row++) {
-            if (row !== emptyPosition.row && tiles[row][clickedCol]) {
-                tilesToMove.push({
-                    tile: tiles[row][clickedCol],
-                    fromRow: row,
-                    fromCol: clickedCol,
-                    toRow: row + (clickedRow < emptyPosition.row ? 1 : -1),
-                    toCol: clickedCol
-                });
-            }
+        // Only check for win if game has started
+        if (gameStarted && isPuzzleSolved()) {
+            endGame();
         }
-    }
-    
-    return tilesToMove;
+    }, getTileAnimationSpeed());
 }
 
 /**
@@ -714,57 +845,222 @@ function getTilesToMove(clickedRow, clickedCol) {
 function moveMultipleTiles(clickedRow, clickedCol) {
     if (isAnimating) return false;
     
-    const tilesToMove = getTilesToMove(clickedRow, clickedCol);
-    if (tilesToMove.length === 0) return false;
+    // The engine's 'move' listener plays the sound and updates the count
+    const moves = engine.slide(clickedRow, clickedCol);
+    if (moves.length === 0) return false;
     
-    isAnimating = true;
+    animateTileMoves(moves);
+    return true;
+}
+
+/**
+ * Slide from a position on the player's behalf (click or keyboard), starting
+ * the timer on the first move. Ignored while the solver is working on this board.
+ */
+function playerSlide(row, col) {
+    if (isAnimating || isSolving || isPaused()) return false;
+    
+    // Try multi-tile move first
+    if (moveMultipleTiles(row, col)) {
+        if (!gameStartTime && gameStarted) {
+            startTimer();
+        }
+        return true;
+    }
+    // Single tile move as fallback (for adjacent tiles)
+    if (canMoveTile(row, col)) {
+        moveTile(row, col);
+        if (!gameStartTime && gameStarted) {
+            startTimer();
+        }
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Slide the tile next to the blank for an arrow/WASD direction.
+ * In 'tile' mode the tile moves the way the key points (so the tile
+ * on the opposite side of the blank moves); in 'blank' mode the blank does.
+ */
+function slideInDirection(direction, mode = keyboardMode) {
+    const dir = PuzzleEngine.DIRECTIONS.find(d => d.name === direction);
+    const sign = mode === 'blank' ? 1 : -1;
+    const blank = engine.getBlank();
+    return playerSlide(blank.row + dir.row * sign, blank.col + dir.col * sign);
+}
+
+/**
+ * Keyboard controls: arrows/WASD slide, plus single-key shortcuts for the
+ * game controls (see the Keyboard panel in fifteen.html)
+ */
+function handleKeyboardControls(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+    if (document.querySelector('.modal:not(.hidden)')) return;
     
-    // Update the tiles array first
-    const newEmptyRow = clickedRow;
-    const newEmptyCol = clickedCol;
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    const direction = KEYBOARD_DIRECTIONS[key];
     
-    // Move all tiles to their new positions in the array
-    tilesToMove.forEach(moveInfo => {
-        tiles[moveInfo.fromRow][moveInfo.fromCol] = null;
-        tiles[moveInfo.toRow][moveInfo.toCol] = moveInfo.tile;
-    });
+    if (direction && !event.shiftKey) {
+        event.preventDefault();
+        if (engine) slideInDirection(direction);
+        return;
+    }
+    
+    // New Game and Reset go through their buttons, which are disabled while solving
+    const boardShortcut = id => () => {
+        if (!isAnimating) clickIfEnabled(id);
+    };
+    const shortcuts = {
+        n: boardShortcut('startButton'),
+        r: boardShortcut('resetButton'),
+        x: () => clickIfEnabled('shuffleButton'),
+        h: () => clickIfEnabled('hintButton'),
+        u: undoMove,
+        y: redoMove,
+        p: togglePause,
+        m: toggleBackgroundMusic
+    };
     
-    // Set the new empty position
-    tiles[newEmptyRow][newEmptyCol] = null;
-    emptyPosition = { row: newEmptyRow, col: newEmptyCol };
+    // Shift+S solves, so a stray S while moving never does
+    const action = event.shiftKey ? (key === 's' ? () => clickIfEnabled('cheatButton') : null) : shortcuts[key];
+    if (action) {
+        event.preventDefault();
+        action();
+    }
+}
+
+/**
+ * Touch input on the board: swipes move the tile toward the blank, and a
+ * movable tile (with any tiles between it and the blank) can be dragged
+ */
+function setupTouchControls() {
+    const puzzleArea = document.getElementById('puzzleArea');
+    if (!puzzleArea) return;
     
-    // Animate all tiles
-    let animationsCompleted = 0;
-    const totalAnimations = tilesToMove.length;
+    puzzleArea.addEventListener('pointerdown', handleBoardPointerDown);
+    puzzleArea.addEventListener('pointermove', handleBoardPointerMove);
+    puzzleArea.addEventListener('pointerup', handleBoardPointerUp);
+    puzzleArea.addEventListener('pointercancel', cancelBoardGesture);
     
-    tilesToMove.forEach(moveInfo => {
-        const newPosition = getTilePosition(moveInfo.toRow, moveInfo.toCol);
-        
-        moveInfo.tile.classList.add('sliding');
-        moveInfo.tile.style.left = newPosition.left + 'px';
-        moveInfo.tile.style.top = newPosition.top + 'px';
-        
-        setTimeout(() => {
-            moveInfo.tile.classList.remove('sliding');
-            animationsCompleted++;
-            
-            if (animationsCompleted === totalAnimations) {
-                isAnimating = false;
-                enableTileInteraction();
-                
-                // Only check for win if game has started
-                if (gameStarted && isPuzzleSolved()) {
-                    endGame();
-                }
-            }
-        }, getTileAnimationSpeed());
+    // Capture phase, so the tile's own click handler never sees it
+    puzzleArea.addEventListener('click', function(event) {
+        if (Date.now() < suppressClickUntil) event.stopPropagation();
+    }, true);
+}
+
+function handleBoardPointerDown(event) {
+    if (event.pointerType === 'mouse' || !event.isPrimary) return;
+    if (isAnimating || isSolving || !engine) return;
+    
+    const tile = event.target.closest('.puzzle-tile');
+    const cell = tile ? findTilePosition(tile) : null;
+    
+    touchGesture = {
+        pointerId: event.pointerId,
+        startX: event.clientX,
+        startY: event.clientY,
+        startTime: Date.now(),
+        dragging: false,
+        offset: 0
+    };
+    
+    // Tiles in line with the blank can be dragged toward it
+    if (cell && canMoveTileMulti(cell.row, cell.col)) {
+        const blank = engine.getBlank();
+        touchGesture.cell = cell;
+        touchGesture.moves = getTilesToMove(cell.row, cell.col);
+        touchGesture.axis = cell.row === blank.row ? 'x' : 'y';
+        touchGesture.sign = cell.row === blank.row ?
+            Math.sign(blank.col - cell.col) : Math.sign(blank.row - cell.row);
+        touchGesture.blankIndex = engine.blankIndex;
+        showMovePreview(cell.row, cell.col);
+    }
+    
+    if (this.setPointerCapture) this.setPointerCapture(event.pointerId);
+}
+
+function handleBoardPointerMove(event) {
+    const gesture = touchGesture;
+    if (!gesture || event.pointerId !== gesture.pointerId || !gesture.moves) return;
+    event.preventDefault();
+    
+    // Distance moved toward the blank, at most one tile
+    const delta = gesture.axis === 'x' ? event.clientX - gesture.startX : event.clientY - gesture.startY;
+    gesture.offset = Math.min(Math.max(delta * gesture.sign, 0), getTileSize());
+    
+    if (!gesture.dragging) {
+        if (gesture.offset === 0) return;
+        gesture.dragging = true;
+        gesture.moves.forEach(move => move.tile.classList.add('dragging'));
+    }
+    
+    // The tiles follow the finger
+    const shift = gesture.offset * gesture.sign;
+    gesture.moves.forEach(move => {
+        const position = getTilePosition(move.fromRow, move.fromCol);
+        move.tile.style.left = position.left + (gesture.axis === 'x' ? shift : 0) + 'px';
+        move.tile.style.top = position.top + (gesture.axis === 'y' ? shift : 0) + 'px';
     });
+}
+
+function handleBoardPointerUp(event) {
+    const gesture = touchGesture;
+    if (!gesture || event.pointerId !== gesture.pointerId) return;
+    touchGesture = null;
+    clearMovePreview();
+    
+    if (gesture.dragging) {
+        suppressClickUntil = Date.now() + 400;
+        gesture.moves.forEach(move => move.tile.classList.remove('dragging'));
+        
+        // Past halfway (or a quick flick) snaps into place; otherwise the tiles slide back
+        const flicked = Date.now() - gesture.startTime < FLICK_DURATION && gesture.offset >= SWIPE_THRESHOLD;
+        const stillValid = engine.blankIndex === gesture.blankIndex;
+        if (stillValid && (gesture.offset >= getTileSize() / 2 || flicked) &&
+            playerSlide(gesture.cell.row, gesture.cell.col)) {
+            return;
+        }
+        gesture.moves.forEach(move => renderTile(move.tile, move.value));
+        return;
+    }
     
-    // Play sound and update count
-    playMoveSound();
-    incrementMoveCount();
+    // Not a drag: a long enough swipe moves the tile next to the blank that way,
+    // anything shorter is a tap and the tile's click handler takes it
+    const dx = event.clientX - gesture.startX;
+    const dy = event.clientY - gesture.startY;
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < SWIPE_THRESHOLD) return;
     
-    return true;
+    suppressClickUntil = Date.now() + 400;
+    if (Math.abs(dx) > Math.abs(dy)) {
+        slideInDirection(dx > 0 ? 'right' : 'left', 'tile');
+    } else {
+        slideInDirection(dy > 0 ? 'down' : 'up', 'tile');
+    }
+}
+
+/**
+ * Put dragged tiles back when the browser takes over the touch
+ */
+function cancelBoardGesture() {
+    const gesture = touchGesture;
+    touchGesture = null;
+    clearMovePreview();
+    if (gesture && gesture.dragging) {
+        gesture.moves.forEach(move => {
+            move.tile.classList.remove('dragging');
+            renderTile(move.tile, move.value);
+        });
+    }
+}
+
+/**
+ * Click a control button only when it is currently enabled
+ */
+function clickIfEnabled(id) {
+    const button = document.getElementById(id);
+    if (button && !button.disabled) button.click();
 }
 
 /**
@@ -773,128 +1069,101 @@ function moveMultipleTiles(clickedRow, clickedCol) {
 function moveTile(row, col) {
     if (!canMoveTile(row, col) || isAnimating) return;
     
-    isAnimating = true;
-    const tile = tiles[row][col];
+    animateTileMoves(engine.slide(row, col));
+}
+
+/**
+ * Undo the last slide (a multi-tile slide is one step)
+ */
+function undoMove() {
+    if (!gameConfig.allowUndo || isAnimating || isSolving || isPaused()) return;
     
-    // Update positions in array
-    tiles[emptyPosition.row][emptyPosition.col] = tile;
-    tiles[row][col] = null;
+    const moves = engine.undo();
+    if (moves.length === 0) return;
     
-    // Animate tile movement with fixed tile size
-    const newPosition = getTilePosition(emptyPosition.row, emptyPosition.col);
+    if (gameStarted) undosUsed++;
+    animateTileMoves(moves);
+}
+
+/**
+ * Redo the last undone slide
+ */
+function redoMove() {
+    if (!gameConfig.allowUndo || isAnimating || isSolving || isPaused()) return;
     
-    tile.classList.add('sliding');
-    tile.style.left = newPosition.left + 'px';
-    tile.style.top = newPosition.top + 'px';
+    const moves = engine.redo();
+    if (moves.length === 0) return;
     
-    // Update empty position
-    emptyPosition = { row: row, col: col };
+    animateTileMoves(moves);
+}
+
+/**
+ * Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes (Cmd on Mac)
+ */
+function handleUndoShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
     
-    // Play sound and update count
-    playMoveSound();
-    incrementMoveCount();
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoMove();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        redoMove();
+    }
+}
+
+/**
+ * Enable/disable the Undo and Redo buttons (hidden when the admin disables undo)
+ */
+function updateUndoButtons() {
+    const undoControls = document.getElementById('undoControls');
+    const undoButton = document.getElementById('undoButton');
+    const redoButton = document.getElementById('redoButton');
     
-    // Update movability for all tiles
-    setTimeout(() => {
-        tile.classList.remove('sliding');
-        isAnimating = false;
-        enableTileInteraction();
-        
-        // Only check for win if game has started
-        if (gameStarted && isPuzzleSolved()) {
-            endGame();
-        }
-    }, getTileAnimationSpeed());
+    if (undoControls) undoControls.style.display = gameConfig.allowUndo ? '' : 'none';
+    if (undoButton) undoButton.disabled = !engine || !engine.canUndo();
+    if (redoButton) redoButton.disabled = !engine || !engine.canRedo();
 }
 
 /**
  * Check if the puzzle is solved
  */
 function isPuzzleSolved() {
-    for (let row = 0; row < puzzleSize; row++) {
-        for (let col = 0; col < puzzleSize; col++) {
-            if (row === puzzleSize - 1 && col === puzzleSize - 1) {
-                // Last position should be empty
-                if (tiles[row][col] !== null) return false;
-            } else {
-                const expectedNumber = row * puzzleSize + col + 1;
-                const tile = tiles[row][col];
-                if (!tile || parseInt(tile.textContent) !== expectedNumber) {
-                    return false;
-                }
-            }
-        }
-    }
-    return true;
+    return engine.isSolved();
 }
 
 /**
  * Update all tile positions and sizes
  */
 function updateAllTiles() {
-    for (let row = 0; row < puzzleSize; row++) {
-        for (let col = 0; col < puzzleSize; col++) {
-            const tile = tiles[row][col];
-            if (tile) {
-                const tileSize = getTileSize();
-                const position = getTilePosition(row, col);
-                
-                tile.style.left = position.left + 'px';
-                tile.style.top = position.top + 'px';
-                tile.style.width = tileSize + 'px';
-                tile.style.height = tileSize + 'px';
-                
-                const fontSize = Math.max(14, Math.floor(tileSize * 0.3));
-                tile.style.fontSize = fontSize + 'px';
-                tile.style.lineHeight = tileSize + 'px';
-                
-                setTileBackground(tile, parseInt(tile.textContent));
-            }
-        }
-    }
+    Object.entries(tileElements).forEach(([number, tile]) => {
+        renderTile(tile, parseInt(number));
+    });
 }
 
 /**
  * Shuffle the puzzle - Milestone 2 compliant
- * Generates a solvable state by repeatedly moving random neighbors of the empty space
+ * Generates a solvable board for the configured difficulty (see scramble-generator.js)
  */
 function shufflePuzzle() {
+    stopSolving();
+    
     // Reset timer and stats
     resetGameStats();
     
-    // Use configured shuffle complexity or fallback
-    const shuffleMoves = gameConfig.shuffleComplexity || Math.max(200, puzzleSize * puzzleSize * 10);
+    // A shared puzzle is used once; otherwise every shuffle gets a fresh seed
+    const puzzle = nextPuzzle ||
+        { size: puzzleSize, seed: PuzzleEngine.createSeed(), difficulty: gameConfig.shuffleComplexity };
+    nextPuzzle = null;
     
-    for (let i = 0; i < shuffleMoves; i++) {
-        // Find neighbors of empty space directly (more efficient)
-        const neighbors = [];
-        const directions = [
-            { row: -1, col: 0 }, { row: 1, col: 0 },
-            { row: 0, col: -1 }, { row: 0, col: 1 }
-        ];
-        
-        for (const dir of directions) {
-            const newRow = emptyPosition.row + dir.row;
-            const newCol = emptyPosition.col + dir.col;
-            
-            if (newRow >= 0 && newRow < puzzleSize && newCol >= 0 && newCol < puzzleSize) {
-                neighbors.push({ row: newRow, col: newCol });
-            }
-        }
-        
-        // Move a random neighbor into empty space
-        if (neighbors.length > 0) {
-            const randomNeighbor = neighbors[Math.floor(Math.random() * neighbors.length)];
-            
-            // Swap tiles in array only (no DOM updates during shuffle for efficiency)
-            const tile = tiles[randomNeighbor.row][randomNeighbor.col];
-            tiles[emptyPosition.row][emptyPosition.col] = tile;
-            tiles[randomNeighbor.row][randomNeighbor.col] = null;
-            
-            // Update empty position
-            emptyPosition = randomNeighbor;
-        }
-    }
+    // Build the board in the engine only (no DOM updates during shuffle for efficiency)
+    engine.load(getPuzzleBoard(puzzle));
+    currentPuzzle = puzzle;
+    dailyChallenge = puzzle.daily || null;
+    updateShareButton();
+    updateBestStats();
     
     // Reposition all tiles after shuffle is complete
     updateAllTiles();
@@ -903,13 +1172,394 @@ function shufflePuzzle() {
     moveCount = 0;
     updateMoveCount();
     enableTileInteraction();
+    
+    startReplayRecording();
+    analyzeScramble(engine.board.slice());
+}
+
+/**
+ * The starting board for a puzzle description. Seeded puzzles (the Daily
+ * Challenge included) are generated for a difficulty; only older share
+ * links use a fixed-length random walk instead.
+ */
+function getPuzzleBoard(puzzle) {
+    if (puzzle.board) return puzzle.board;
+    
+    const random = PuzzleEngine.createSeededRandom(puzzle.seed);
+    if (puzzle.steps) {
+        const walk = new PuzzleEngine(puzzle.size);
+        walk.scramble(puzzle.steps, random);
+        return walk.board;
+    }
+    return ScrambleGenerator.generateForDifficulty(puzzle.size, puzzle.difficulty, random).board;
+}
+
+/**
+ * Shortest known solution for the current scramble: { moves, exact }, or null
+ * while it is still being worked out. exact is false when the solver ran out of
+ * time (or the board is solved row by row) and moves is the best length found.
+ */
+let scrambleOptimum = null;
+let analysisWorker = null;
+
+/**
+ * Work out the solution length for a freshly shuffled board. Up to 3x3 it is
+ * solved right away; larger boards are searched in their own worker within
+ * the solver time limit so play can start at once.
+ */
+function analyzeScramble(board) {
+    stopAnalysisWorker();
+    scrambleOptimum = null;
+    
+    const size = puzzleSize;
+    const finish = result => {
+        if (result.solved) {
+            scrambleOptimum = { moves: result.moves.length, exact: !result.fallback && !result.reduction };
+        }
+    };
+    
+    if (board.length <= ScrambleGenerator.EXACT_CELL_LIMIT) {
+        finish(PuzzleSolver.solve(board, size, { timeLimit: 0 }));
+        return;
+    }
+    
+    // Without a worker the search would freeze the board, so the game goes unrated
+    if (typeof Worker === 'undefined') return;
+    let worker;
+    try {
+        worker = new Worker('solver-worker.js');
+    } catch (error) {
+        console.error('Could not start scramble analysis worker:', error);
+        return;
+    }
+    analysisWorker = worker;
+    
+    worker.addEventListener('message', function(e) {
+        if (e.data.type !== 'result' || worker !== analysisWorker) return;
+        stopAnalysisWorker();
+        finish(e.data.result);
+    });
+    
+    worker.addEventListener('error', function(error) {
+        console.error('Scramble analysis worker error:', error);
+        if (worker === analysisWorker) stopAnalysisWorker();
+    });
+    
+    worker.postMessage({ type: 'solve', board: board, size: size, timeLimit: gameConfig.solverTimeLimit * 1000 });
+}
+
+function stopAnalysisWorker() {
+    if (analysisWorker) {
+        analysisWorker.terminate();
+        analysisWorker = null;
+    }
+}
+
+/**
+ * How the finished game compares with the scramble's shortest known solution:
+ * { optimalMoves, optimalExact, efficiency, wastedMoves }, or null if unknown.
+ * Games the auto-solver finished are not rated.
+ */
+function getMoveEfficiency(moves) {
+    if (!scrambleOptimum || moves <= 0 || wasAutoSolved()) return null;
+    return {
+        optimalMoves: scrambleOptimum.moves,
+        optimalExact: scrambleOptimum.exact,
+        efficiency: Math.min(1, scrambleOptimum.moves / moves),
+        wastedMoves: Math.max(0, moves - scrambleOptimum.moves)
+    };
+}
+
+/**
+ * Whether the auto-solver made any of this game's moves
+ */
+function wasAutoSolved() {
+    return !!(gameRecording && gameRecording.moves.some(entry => entry[2] === 'solver'));
+}
+
+/**
+ * Points for the game just won (see game-score.js); null for auto-solved games
+ */
+function calculateGameScore(time, moves) {
+    if (wasAutoSolved()) return null;
+    const efficiency = getMoveEfficiency(moves);
+    return GameScore.calculate({
+        completed: true,
+        puzzleSize: puzzleSize,
+        timeInSeconds: time,
+        hintsUsed: hintsUsed,
+        efficiency: efficiency ? efficiency.efficiency : null,
+        difficulty: currentPuzzle ? currentPuzzle.difficulty : null,
+        dailyRanked: !!(dailyChallenge && dailyChallenge.ranked)
+    }, gameConfig.scoreWeights);
+}
+
+/**
+ * Start recording a replay from the freshly shuffled board
+ */
+function startReplayRecording() {
+    gameRecording = {
+        size: puzzleSize,
+        startBoard: engine.board.slice(),
+        startedAt: Date.now(),
+        moves: []
+    };
+}
+
+/**
+ * Add an engine move to the replay as [ms since shuffle, cell slid from]
+ * Undo/redo and solver moves carry a third entry with their type
+ */
+function recordReplayMove(move) {
+    if (!gameRecording || !gameStarted) return;
+    
+    const cell = move.blank.row * engine.cols + move.blank.col;
+    const entry = [Date.now() - gameRecording.startedAt, cell];
+    const type = isSolving ? 'solver' : move.type;
+    if (type !== 'move') entry.push(type);
+    gameRecording.moves.push(entry);
+}
+
+/**
+ * Replay data to attach to a game record (null if nothing was recorded)
+ */
+function getReplayData() {
+    if (!gameRecording) return null;
+    
+    return {
+        size: gameRecording.size,
+        startBoard: gameRecording.startBoard,
+        startedAt: new Date(gameRecording.startedAt).toISOString(),
+        moves: gameRecording.moves
+    };
+}
+
+// Longest random walk a share link may ask for (keeps links from freezing the page)
+const MAX_SHARED_STEPS = 10000;
+
+/**
+ * Build the URL hash that recreates a puzzle, e.g. #size=4&seed=k2x9&difficulty=hard,
+ * #size=4&seed=k2x9&steps=100 or #size=3&board=1-2-3-4-5-6-0-7-8
+ */
+function getPuzzleHash(puzzle) {
+    const params = new URLSearchParams();
+    params.set('size', puzzle.size);
+    if (puzzle.board) {
+        params.set('board', puzzle.board.join('-'));
+    } else {
+        params.set('seed', puzzle.seed);
+        if (puzzle.steps) {
+            params.set('steps', puzzle.steps);
+        } else {
+            params.set('difficulty', puzzle.difficulty);
+        }
+    }
+    return params.toString();
+}
+
+/**
+ * Read a puzzle from a URL hash, or null if the hash does not describe one
+ */
+function parsePuzzleHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.get('size')) return null;
+    const size = parseSizeValue(params.get('size'));
+    if (!document.querySelector(`input[name="puzzleSize"][value="${size}"]`)) return null;
+    
+    if (params.has('board')) {
+        const dims = PuzzleEngine.parseSize(size);
+        const board = params.get('board').split('-').map(Number);
+        const sorted = board.slice().sort((a, b) => a - b);
+        if (board.length !== dims.rows * dims.cols || sorted.some((value, index) => value !== index)) return null;
+        return { size: size, board: board };
+    }
+    
+    const steps = parseInt(params.get('steps'));
+    if (params.get('seed') && steps > 0 && steps <= MAX_SHARED_STEPS) {
+        return { size: size, seed: params.get('seed'), steps: steps };
+    }
+    const difficulty = params.get('difficulty');
+    if (params.get('seed') && difficulty in ScrambleGenerator.DIFFICULTY_BANDS) {
+        return { size: size, seed: params.get('seed'), difficulty: difficulty };
+    }
+    return null;
+}
+
+/**
+ * Start the puzzle described by the page's URL hash, if any
+ */
+function loadSharedPuzzle() {
+    if (!window.location.hash) return;
+    
+    const puzzle = parsePuzzleHash(window.location.hash);
+    if (!puzzle) return;
+    
+    if (puzzle.board && !PuzzleEngine.isSolvable(puzzle.board, puzzle.size)) {
+        alert('This shared puzzle cannot be solved, so it was not loaded.');
+        return;
+    }
+    
+    const sizeRadio = document.querySelector(`input[name="puzzleSize"][value="${puzzle.size}"]`);
+    if (sizeRadio.disabled) {
+        alert(`${PuzzleEngine.getSizeLabel(puzzle.size)} puzzles are currently disabled.`);
+        return;
+    }
+    
+    // Switch to the shared size, then let the next shuffle use the shared puzzle
+    sizeRadio.checked = true;
+    puzzleSize = puzzle.size;
+    initializeGame();
+    
+    nextPuzzle = { ...puzzle, shared: true };
+    startGame();
+}
+
+/**
+ * Full link to the current puzzle
+ */
+function getPuzzleShareUrl() {
+    return window.location.href.split('#')[0] + '#' + getPuzzleHash(currentPuzzle);
+}
+
+/**
+ * Copy a share link to the clipboard (Share this puzzle button)
+ */
+function sharePuzzle() {
+    if (!currentPuzzle) return;
+    copyShareText(getPuzzleShareUrl(), 'Puzzle link copied! Anyone who opens it gets this exact scramble.');
+}
+
+/**
+ * Copy the result plus a link to the same puzzle (Share Result button)
+ */
+function shareResult() {
+    if (!currentPuzzle) return;
+    
+    const text = `I solved this ${getSizeLabel()} Fifteen Puzzle in ` +
+        `${document.getElementById('timeDisplay').textContent} with ${moveCount} moves. ` +
+        `Try the same puzzle: ${getPuzzleShareUrl()}`;
+    copyShareText(text, 'Result copied to clipboard!');
+}
+
+/**
+ * Put text on the clipboard, falling back to a prompt the player can copy from
+ */
+function copyShareText(text, successMessage) {
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(text)
+            .then(() => alert(successMessage))
+            .catch(() => prompt('Copy this link:', text));
+    } else {
+        prompt('Copy this link:', text);
+    }
 }
 
 /**
- * Solve the puzzle automatically using A* algorithm
+ * Enable the share button once a shuffled puzzle exists
  */
-function solvePuzzle() {
-    if (isAnimating) return; // Prevent multiple solve attempts
+function updateShareButton() {
+    const sharePuzzleButton = document.getElementById('sharePuzzleButton');
+    if (sharePuzzleButton) sharePuzzleButton.disabled = !currentPuzzle;
+}
+
+/**
+ * Start today's Daily Challenge for the selected size. Logged-in players get
+ * one ranked attempt per size each day; replays and guests play unranked.
+ */
+function startDailyChallenge() {
+    if (isAnimating || isSolving) return;
+    
+    const day = DailyChallenge.getDayKey();
+    let ranked = false;
+    
+    if (!currentUser) {
+        if (!confirm('Sign in to get a ranked Daily Challenge attempt. Play today\'s puzzle as practice?')) return;
+    } else if (DailyChallenge.hasAttempted(currentUser.username, day, puzzleSize)) {
+        if (!confirm(`You have already used today's ranked ${getSizeLabel()} attempt. Play it again as practice?`)) return;
+    } else {
+        ranked = true;
+    }
+    
+    nextPuzzle = { ...DailyChallenge.getPuzzle(puzzleSize, day), daily: { day: day, ranked: ranked } };
+    startGame();
+    
+    // The attempt is used as soon as the puzzle is shown
+    if (ranked) {
+        DailyChallenge.startAttempt(currentUser.username, day, puzzleSize);
+    }
+    updateDailyChallengeInfo();
+}
+
+/**
+ * Store a ranked Daily Challenge win and remember its rank for the win message
+ */
+function completeDailyChallenge(time, moves) {
+    if (!dailyChallenge || !dailyChallenge.ranked || !currentUser) return;
+    
+    DailyChallenge.completeAttempt(currentUser.username, dailyChallenge.day, puzzleSize, {
+        timeInSeconds: time,
+        moves: moves,
+        hintsUsed: hintsUsed,
+        pauseCount: pauseCount,
+        pausedSeconds: Math.round(getPausedTime() / 1000)
+    });
+    dailyChallenge.rank = DailyChallenge.getRank(currentUser.username, dailyChallenge.day, puzzleSize);
+    updateDailyChallengeInfo();
+}
+
+/**
+ * Show today's status for the selected size and the player's streak
+ */
+function updateDailyChallengeInfo() {
+    const statusEl = document.getElementById('dailyChallengeStatus');
+    const streakEl = document.getElementById('dailyStreak');
+    if (!statusEl || !streakEl) return;
+    
+    if (!currentUser) {
+        statusEl.textContent = 'Sign in for a ranked attempt';
+        streakEl.textContent = '';
+        return;
+    }
+    
+    const day = DailyChallenge.getDayKey();
+    const attempt = DailyChallenge.getAttempt(currentUser.username, day, puzzleSize);
+    if (!attempt) {
+        statusEl.textContent = `Today's ${getSizeLabel()}: ranked attempt available`;
+    } else if (attempt.status === 'completed') {
+        const minutes = Math.floor(attempt.timeInSeconds / 60);
+        const seconds = attempt.timeInSeconds % 60;
+        statusEl.textContent = `Today's ${getSizeLabel()}: solved in ` +
+            `${minutes}:${seconds.toString().padStart(2, '0')} (${attempt.moves} moves)`;
+    } else {
+        statusEl.textContent = `Today's ${getSizeLabel()}: ranked attempt used`;
+    }
+    
+    const streak = DailyChallenge.getStreak(currentUser.username, day);
+    streakEl.textContent = streak > 0 ? `🔥 ${streak}-day streak` : '';
+}
+
+/**
+ * Solver worker state
+ */
+let solverWorker = null;
+let pendingSolve = null; // Resolves the running worker request
+let isSolving = false;   // Set while searching and while playing back a solution
+let solveGeneration = 0; // Bumped when the board is replaced, so a stale solution is dropped
+let patternDatabaseWorker = null; // Background pattern database build, if any
+
+/**
+ * Solve the puzzle automatically using the IDA* solver (in a Web Worker)
+ */
+async function solvePuzzle() {
+    if (isAnimating || isSolving) return; // Prevent multiple solve attempts
+    
+    if (dailyChallenge && dailyChallenge.ranked && !isPuzzleSolved()) {
+        if (!confirm('Auto-solving ends your ranked Daily Challenge attempt. Continue?')) return;
+        dailyChallenge.ranked = false;
+    }
+    
+    // The solution plays out on the board, so it can't stay hidden
+    resumeGame();
     
     // If already solved, just trigger win if game started
     if (isPuzzleSolved()) {
@@ -925,213 +1575,344 @@ function solvePuzzle() {
         gameTimer = null;
     }
     
+    clearHint();
+    
     // Disable solve button during solving
     document.getElementById('cheatButton').disabled = true;
     document.getElementById('cheatButton').textContent = 'Solving...';
     
-    // Find optimal solution using A* algorithm
-    const solutionMoves = findOptimalSolution();
+    // Find optimal solution using IDA*, reporting progress as it searches
+    setSolving(true);
+    const generation = solveGeneration;
+    const searchable = engine.board.length <= PuzzleSolver.SEARCH_CELL_LIMIT;
+    showSolverProgress(searchable ? 'Searching for the optimal solution...' : 'Solving row by row...');
+    const result = await findOptimalSolution(updateSolverProgress);
     
-    if (solutionMoves.length === 0) {
-        // No solution found or already solved
+    // Build this size's pattern database in the background so later solves are faster
+    ensurePatternDatabase(puzzleSize);
+    
+    // A new game, reset or size change while searching already cleaned up
+    if (generation !== solveGeneration) return;
+    
+    if (!result.solved) {
+        setSolving(false);
+        hideSolverProgress();
         document.getElementById('cheatButton').disabled = false;
         document.getElementById('cheatButton').textContent = 'Solve';
+        
+        // Cancelled: let the player carry on where they left off
+        if (result.cancelled && gameStarted && gameStartTime) {
+            gameTimer = setInterval(updateTimer, 100);
+        } else if (!result.cancelled) {
+            alert('The solver could not find a solution for this position.');
+        }
         return;
     }
     
-    // Execute the solution moves
-    executeSolutionMoves(solutionMoves, 0);
+    if (result.fallback) {
+        showSolverProgress(`No optimal solution within ${gameConfig.solverTimeLimit}s - ` +
+            `using a quick ${result.moves.length}-move solution instead.`, false);
+    } else if (result.reduction) {
+        showSolverProgress(`Large board: playing a ${result.moves.length}-move row-by-row solution.`, false);
+    } else {
+        hideSolverProgress();
+    }
+    
+    // Execute the solution moves (isSolving stays set until they finish)
+    executeSolutionMoves(result.moves, 0, generation);
+}
+
+/**
+ * Set isSolving. New Game and Reset are disabled meanwhile, since they would
+ * throw the solver's work away.
+ */
+function setSolving(solving) {
+    isSolving = solving;
+    ['startButton', 'resetButton'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = solving;
+    });
 }
 
 /**
- * Find optimal solution using A* search algorithm
+ * Find optimal solution using IDA* (see puzzle-solver.js)
+ * Resolves with the solver result: { solved, moves, timedOut, fallback, cancelled, ... }
  */
-function findOptimalSolution() {
-    const startState = getCurrentState();
-    const goalState = getGoalState();
+function findOptimalSolution(onProgress) {
+    const board = engine.board.slice();
+    const timeLimit = gameConfig.solverTimeLimit * 1000;
     
-    if (statesEqual(startState, goalState)) {
-        return []; // Already solved
+    if (typeof Worker === 'undefined') {
+        return Promise.resolve(PuzzleSolver.solveWithFallback(board, puzzleSize, { timeLimit: timeLimit }));
     }
     
-    const openSet = [{ state: startState, g: 0, h: manhattanDistance(startState), f: manhattanDistance(startState), path: [] }];
-    const closedSet = new Set();
-    
-    while (openSet.length > 0) {
-        // Find node with lowest f score
-        openSet.sort((a, b) => a.f - b.f);
-        const current = openSet.shift();
-        
-        const stateKey = stateToString(current.state);
-        if (closedSet.has(stateKey)) continue;
-        closedSet.add(stateKey);
-        
-        // Check if we reached the goal
-        if (statesEqual(current.state, goalState)) {
-            return current.path;
+    return new Promise(resolve => {
+        try {
+            solverWorker = new Worker('solver-worker.js');
+        } catch (error) {
+            // Workers are blocked on file:// pages - solve on the main thread instead
+            console.error('Could not start solver worker:', error);
+            resolve(PuzzleSolver.solveWithFallback(board, puzzleSize, { timeLimit: timeLimit }));
+            return;
         }
         
-        // Limit search depth to prevent infinite loops
-        if (current.g > 50) continue;
+        pendingSolve = resolve;
         
-        // Generate all possible moves
-        const neighbors = generateMoves(current.state);
+        solverWorker.addEventListener('message', function(e) {
+            if (e.data.type === 'progress') {
+                if (onProgress) onProgress(e.data);
+            } else if (e.data.type === 'result') {
+                stopSolverWorker();
+                resolve(e.data.result);
+            }
+        });
         
-        for (const neighbor of neighbors) {
-            const neighborKey = stateToString(neighbor.state);
-            if (closedSet.has(neighborKey)) continue;
-            
-            const g = current.g + 1;
-            const h = manhattanDistance(neighbor.state);
-            const f = g + h;
-            
-            const newPath = [...current.path, neighbor.move];
-            
-            // Check if this path to neighbor is better
-            const existingIndex = openSet.findIndex(node => statesEqual(node.state, neighbor.state));
-            if (existingIndex === -1 || g < openSet[existingIndex].g) {
-                if (existingIndex !== -1) {
-                    openSet.splice(existingIndex, 1);
-                }
-                openSet.push({ state: neighbor.state, g, h, f, path: newPath });
+        solverWorker.addEventListener('error', function(error) {
+            console.error('Solver worker error:', error);
+            stopSolverWorker();
+            resolve(PuzzleSolver.solveWithFallback(board, puzzleSize, { timeLimit: timeLimit }));
+        });
+        
+        solverWorker.postMessage({ type: 'solve', board: board, size: puzzleSize, timeLimit: timeLimit });
+    });
+}
+
+/**
+ * Terminate the solver worker, if one is running
+ */
+function stopSolverWorker() {
+    if (solverWorker) {
+        solverWorker.terminate();
+        solverWorker = null;
+    }
+    pendingSolve = null;
+}
+
+/**
+ * Start a background build of the pattern database for a size unless it is
+ * already cached. Only sizes with a preset in pattern-database.js are built.
+ */
+function ensurePatternDatabase(size) {
+    if (patternDatabaseWorker || typeof Worker === 'undefined' || typeof indexedDB === 'undefined') return;
+    if (typeof PatternDatabase === 'undefined' || !PatternDatabase.PRESETS[size]) return;
+    
+    try {
+        patternDatabaseWorker = new Worker('pdb-worker.js');
+    } catch (error) {
+        console.error('Could not start pattern database worker:', error);
+        return;
+    }
+    
+    patternDatabaseWorker.addEventListener('message', function(e) {
+        if (e.data.type === 'done' || e.data.type === 'error') {
+            if (e.data.type === 'error') {
+                console.error('Pattern database build failed:', e.data.message);
             }
+            patternDatabaseWorker.terminate();
+            patternDatabaseWorker = null;
         }
-    }
+    });
     
-    return []; // No solution found
+    patternDatabaseWorker.postMessage({ type: 'build', size: size });
 }
 
 /**
- * Get current puzzle state
+ * Cancel a running solve (Cancel button)
  */
-function getCurrentState() {
-    const state = {
-        tiles: Array(puzzleSize).fill().map(() => Array(puzzleSize).fill(0)),
-        empty: { ...emptyPosition }
-    };
+function cancelSolve() {
+    if (!pendingSolve) return;
     
-    for (let row = 0; row < puzzleSize; row++) {
-        for (let col = 0; col < puzzleSize; col++) {
-            if (tiles[row][col] === null) {
-                state.tiles[row][col] = 0; // Empty space
-            } else {
-                state.tiles[row][col] = parseInt(tiles[row][col].textContent);
+    const resolve = pendingSolve;
+    stopSolverWorker();
+    resolve({ solved: false, cancelled: true, moves: [] });
+}
+
+/**
+ * Drop any solve or hint search in progress, and stop a solution that is
+ * playing back, because the board it was found for is being replaced
+ */
+function stopSolving() {
+    solveGeneration++;
+    cancelSolve();
+    if (!isSolving) return;
+    
+    setSolving(false);
+    const cheatButton = document.getElementById('cheatButton');
+    cheatButton.textContent = 'Solve';
+    cheatButton.disabled = !gameStarted;
+    hideSolverProgress();
+}
+
+/**
+ * Show the solver progress panel with a message
+ */
+function showSolverProgress(message, cancellable = true) {
+    const panel = document.getElementById('solverProgress');
+    const text = document.getElementById('solverProgressText');
+    const cancelButton = document.getElementById('cancelSolveButton');
+    
+    if (!panel || !text) return;
+    
+    text.textContent = message;
+    if (cancelButton) cancelButton.style.display = cancellable ? '' : 'none';
+    panel.classList.remove('hidden');
+}
+
+/**
+ * Update the progress panel from a worker progress message
+ */
+function updateSolverProgress(progress) {
+    const seconds = Math.floor(progress.elapsed / 1000);
+    showSolverProgress(`Depth bound ${progress.bound} • ` +
+        `${progress.nodesExpanded.toLocaleString()} positions • ${seconds}s / ${gameConfig.solverTimeLimit}s`);
+}
+
+/**
+ * Hide the solver progress panel
+ */
+function hideSolverProgress() {
+    const panel = document.getElementById('solverProgress');
+    if (panel) panel.classList.add('hidden');
+}
+
+/**
+ * Hint state
+ */
+const LIMITED_HINTS = 3; // Hints per game when the admin picks "Limited"
+let hintsUsed = 0;
+let hintPlan = null;   // Last solution found, reused while the player follows it
+let hintTile = null;   // Tile element currently highlighted as the hint
+
+/**
+ * Highlight the next move towards the solution (Hint button)
+ */
+async function showHint() {
+    if (isAnimating || isSolving || isPaused() || !gameStarted || isPuzzleSolved() || !canUseHint()) return;
+    
+    clearHint();
+    
+    let plan = getHintPlanFromHere();
+    if (!plan) {
+        setSolving(true);
+        const generation = solveGeneration;
+        showSolverProgress('Finding the best next move...');
+        const result = await findOptimalSolution(updateSolverProgress);
+        if (generation !== solveGeneration) return;
+        setSolving(false);
+        hideSolverProgress();
+        ensurePatternDatabase(puzzleSize);
+        
+        if (!result.solved) {
+            if (!result.cancelled) {
+                alert('No hint is available for this position.');
             }
+            return;
         }
+        
+        hintPlan = createHintPlan(result.moves, result.optimal);
+        plan = getHintPlanFromHere();
     }
     
-    return state;
+    const move = plan.moves[0];
+    const number = engine.getTile(move.row, move.col);
+    hintTile = tileElements[number];
+    hintTile.classList.add('hint-tile');
+    
+    hintsUsed++;
+    updateHintButton();
+    
+    let message = `Hint: move tile ${number}`;
+    if (gameConfig.hintShowsRemaining) {
+        const remaining = plan.moves.length;
+        message += plan.optimal ?
+            ` • ${remaining} move${remaining === 1 ? '' : 's'} to solve` :
+            ` • about ${remaining} moves to solve`;
+    }
+    showSolverProgress(message, false);
 }
 
 /**
- * Get goal state (solved puzzle)
+ * Remember the board after each move of a solution so later hints can
+ * skip the search while the player keeps following it
  */
-function getGoalState() {
-    const state = {
-        tiles: Array(puzzleSize).fill().map(() => Array(puzzleSize).fill(0)),
-        empty: { row: puzzleSize - 1, col: puzzleSize - 1 }
-    };
+function createHintPlan(moves, optimal) {
+    const walker = new PuzzleEngine(puzzleSize);
+    walker.load(engine.board);
     
-    let num = 1;
-    for (let row = 0; row < puzzleSize; row++) {
-        for (let col = 0; col < puzzleSize; col++) {
-            if (row === puzzleSize - 1 && col === puzzleSize - 1) {
-                state.tiles[row][col] = 0; // Empty space
-            } else {
-                state.tiles[row][col] = num++;
-            }
-        }
-    }
+    const boards = [walker.board.join(',')];
+    moves.forEach(move => {
+        walker.slide(move.row, move.col);
+        boards.push(walker.board.join(','));
+    });
     
-    return state;
+    return { moves: moves, optimal: optimal, boards: boards };
 }
 
 /**
- * Calculate Manhattan distance heuristic
+ * The rest of the remembered solution from the current board, or null
  */
-function manhattanDistance(state) {
-    let distance = 0;
+function getHintPlanFromHere() {
+    if (!hintPlan) return null;
     
-    for (let row = 0; row < puzzleSize; row++) {
-        for (let col = 0; col < puzzleSize; col++) {
-            const value = state.tiles[row][col];
-            if (value !== 0) { // Not empty space
-                const targetRow = Math.floor((value - 1) / puzzleSize);
-                const targetCol = (value - 1) % puzzleSize;
-                distance += Math.abs(row - targetRow) + Math.abs(col - targetCol);
-            }
-        }
-    }
+    const index = hintPlan.boards.indexOf(engine.board.join(','));
+    if (index === -1 || index >= hintPlan.moves.length) return null;
     
-    return distance;
+    return { moves: hintPlan.moves.slice(index), optimal: hintPlan.optimal };
 }
 
 /**
- * Generate all possible moves from current state
+ * Remove the hint highlight (after any move or board change)
  */
-function generateMoves(state) {
-    const moves = [];
-    const directions = [
-        { row: -1, col: 0, name: 'up' },
-        { row: 1, col: 0, name: 'down' },
-        { row: 0, col: -1, name: 'left' },
-        { row: 0, col: 1, name: 'right' }
-    ];
-    
-    for (const dir of directions) {
-        const newRow = state.empty.row + dir.row;
-        const newCol = state.empty.col + dir.col;
-        
-        if (newRow >= 0 && newRow < puzzleSize && newCol >= 0 && newCol < puzzleSize) {
-            // Create new state
-            const newState = {
-                tiles: state.tiles.map(row => [...row]),
-                empty: { row: newRow, col: newCol }
-            };
-            
-            // Swap empty space with tile
-            newState.tiles[state.empty.row][state.empty.col] = newState.tiles[newRow][newCol];
-            newState.tiles[newRow][newCol] = 0;
-            
-            moves.push({
-                state: newState,
-                move: { row: newRow, col: newCol } // Position of tile to move
-            });
-        }
-    }
+function clearHint() {
+    if (!hintTile) return;
     
-    return moves;
+    hintTile.classList.remove('hint-tile');
+    hintTile = null;
+    hideSolverProgress();
 }
 
 /**
- * Check if two states are equal
+ * Check the admin hint setting against the hints used this game
  */
-function statesEqual(state1, state2) {
-    for (let row = 0; row < puzzleSize; row++) {
-        for (let col = 0; col < puzzleSize; col++) {
-            if (state1.tiles[row][col] !== state2.tiles[row][col]) {
-                return false;
-            }
-        }
-    }
+function canUseHint() {
+    if (gameConfig.hintSystem === 'disabled') return false;
+    if (gameConfig.hintSystem === 'limited') return hintsUsed < LIMITED_HINTS;
     return true;
 }
 
 /**
- * Convert state to string for hashing
+ * Update the Hint button label and enabled state
+ */
+function updateHintButton() {
+    const hintButton = document.getElementById('hintButton');
+    if (!hintButton) return;
+    
+    hintButton.style.display = gameConfig.hintSystem === 'disabled' ? 'none' : '';
+    hintButton.disabled = !gameStarted || !canUseHint();
+    hintButton.textContent = gameConfig.hintSystem === 'limited' ?
+        `Hint (${LIMITED_HINTS - hintsUsed} left)` : 'Hint';
+}
+
+/**
+ * Get current puzzle state
  */
-function stateToString(state) {
-    return state.tiles.flat().join(',');
+function getCurrentState() {
+    return engine.getState();
 }
 
 /**
- * Execute solution moves one by one
+ * Execute solution moves one by one, stopping if the board is replaced
+ * (generation is the solveGeneration the solution was found for)
  */
-function executeSolutionMoves(moves, index) {
+function executeSolutionMoves(moves, index, generation) {
+    if (generation !== solveGeneration) return;
+    
     if (index >= moves.length) {
         // Finished solving
+        setSolving(false);
         document.getElementById('cheatButton').disabled = false;
         document.getElementById('cheatButton').textContent = 'Solve';
+        hideSolverProgress();
         
         if (gameStarted && isPuzzleSolved()) {
             setTimeout(() => endGame(), 100);
@@ -1148,11 +1929,11 @@ function executeSolutionMoves(moves, index) {
         
         // Schedule next move
         setTimeout(() => {
-            executeSolutionMoves(moves, index + 1);
+            executeSolutionMoves(moves, index + 1, generation);
         }, getTileAnimationSpeed() + 50);
     } else {
         // Skip invalid move and continue
-        executeSolutionMoves(moves, index + 1);
+        executeSolutionMoves(moves, index + 1, generation);
     }
 }
 
@@ -1160,6 +1941,8 @@ function executeSolutionMoves(moves, index) {
  * Reset puzzle to solved state without triggering win
  */
 function resetPuzzle() {
+    stopSolving();
+    
     // Clear any existing timer
     if (gameTimer) {
         clearInterval(gameTimer);
@@ -1170,6 +1953,9 @@ function resetPuzzle() {
     gameStarted = false;
     gameStartTime = null;
     moveCount = 0;
+    pausedAt = null;
+    showPausedBoard(null);
+    updatePauseButton();
     
     // Update UI
     updateMoveCount();
@@ -1180,37 +1966,14 @@ function resetPuzzle() {
     document.getElementById('startButton').textContent = 'Start Game';
     document.getElementById('shuffleButton').disabled = true;
     document.getElementById('cheatButton').disabled = true;
+    updateHintButton();
     
-    // Create a clean tiles array in solved order
-    const newTiles = [];
-    for (let row = 0; row < puzzleSize; row++) {
-        newTiles[row] = [];
-        for (let col = 0; col < puzzleSize; col++) {
-            newTiles[row][col] = null; // Initialize as empty
-        }
-    }
-    
-    // Place each tile in its correct position
-    for (let row = 0; row < puzzleSize; row++) {
-        for (let col = 0; col < puzzleSize; col++) {
-            if (row === puzzleSize - 1 && col === puzzleSize - 1) {
-                // Last position should be empty
-                newTiles[row][col] = null;
-            } else {
-                const correctNumber = row * puzzleSize + col + 1;
-                let tile = findTileByNumber(correctNumber);
-                if (tile) {
-                    newTiles[row][col] = tile;
-                }
-            }
-        }
-    }
-    
-    // Replace the tiles array with the clean one
-    tiles = newTiles;
-    
-    // Update empty position
-    emptyPosition = { row: puzzleSize - 1, col: puzzleSize - 1 };
+    // Put the board back in solved order
+    clearSavedGame();
+    gameRecording = null;
+    currentPuzzle = null;
+    updateShareButton();
+    engine.reset();
     
     // Reposition all tiles
     updateAllTiles();
@@ -1226,15 +1989,7 @@ function resetPuzzle() {
  * Find a tile by its number
  */
 function findTileByNumber(number) {
-    for (let row = 0; row < puzzleSize; row++) {
-        for (let col = 0; col < puzzleSize; col++) {
-            const tile = tiles[row][col];
-            if (tile && parseInt(tile.textContent) === number) {
-                return tile;
-            }
-        }
-    }
-    return null;
+    return tileElements[number] || null;
 }
 
 /**
@@ -1242,7 +1997,8 @@ function findTileByNumber(number) {
  */
 function changePuzzleSize() {
     const selectedRadio = document.querySelector('input[name="puzzleSize"]:checked');
-    puzzleSize = parseInt(selectedRadio.value);
+    puzzleSize = parseSizeValue(selectedRadio.value);
+    if (gameStarted) clearSavedGame();
     gameStarted = false;
     
     // Reset button states
@@ -1251,6 +2007,8 @@ function changePuzzleSize() {
     document.getElementById('cheatButton').disabled = true;
     
     initializeGame();
+    updateHintButton();
+    updateDailyChallengeInfo();
     updateGameStatus('ready');
 }
 
@@ -1261,14 +2019,9 @@ function changeBackground() {
     currentBackground = document.getElementById('backgroundSelect').value;
     
     // Update all existing tiles
-    for (let row = 0; row < puzzleSize; row++) {
-        for (let col = 0; col < puzzleSize; col++) {
-            if (tiles[row][col]) {
-                const number = parseInt(tiles[row][col].textContent);
-                setTileBackground(tiles[row][col], number);
-            }
-        }
-    }
+    Object.entries(tileElements).forEach(([number, tile]) => {
+        setTileBackground(tile, parseInt(number));
+    });
     
     console.log('Background changed to:', currentBackground);
 }
@@ -1281,12 +2034,98 @@ function startTimer() {
     gameTimer = setInterval(updateTimer, 100);
 }
 
+/**
+ * Milliseconds on the game clock (frozen while paused), 0 before the first move
+ */
+function getElapsedTime() {
+    if (!gameStartTime) return 0;
+    return (isPaused() ? pausedAt : Date.now()) - gameStartTime;
+}
+
+/**
+ * Milliseconds spent paused this game, including a pause still in progress
+ */
+function getPausedTime() {
+    return pausedTime + (isPaused() ? Date.now() - pausedAt : 0);
+}
+
+function isPaused() {
+    return pausedAt !== null;
+}
+
+/**
+ * Stop the clock and blur the board. reason is 'manual' (button or P)
+ * or 'auto' (tab hidden or window lost focus).
+ */
+function pauseGame(reason = 'manual') {
+    if (!gameStarted || isPaused() || isSolving || isPuzzleSolved()) return;
+    
+    pausedAt = Date.now();
+    pauseCount++;
+    if (gameTimer) {
+        clearInterval(gameTimer);
+        gameTimer = null;
+    }
+    cancelBoardGesture();
+    clearHint();
+    showPausedBoard(reason === 'auto' ? 'Paused while you were away.' : 'The clock is stopped.');
+}
+
+/**
+ * Restart the clock where it stopped and show the board again
+ */
+function resumeGame() {
+    if (!isPaused()) return;
+    
+    const pausedFor = Date.now() - pausedAt;
+    pausedTime += pausedFor;
+    pausedAt = null;
+    // Move the start forward so the paused stretch never reaches the clock
+    if (gameStartTime) {
+        gameStartTime += pausedFor;
+        gameTimer = setInterval(updateTimer, 100);
+    }
+    showPausedBoard(null);
+}
+
+function togglePause() {
+    if (isPaused()) {
+        resumeGame();
+    } else {
+        pauseGame('manual');
+    }
+}
+
+/**
+ * Blur the board behind the pause overlay, or pass null to show it again
+ */
+function showPausedBoard(message) {
+    const paused = message !== null;
+    const puzzleArea = document.getElementById('puzzleArea');
+    const overlay = document.getElementById('pauseOverlay');
+    const reason = document.getElementById('pauseOverlayReason');
+    const pauseButton = document.getElementById('pauseButton');
+    
+    if (puzzleArea) puzzleArea.classList.toggle('paused', paused);
+    if (overlay) overlay.classList.toggle('hidden', !paused);
+    if (reason && paused) reason.textContent = message;
+    if (pauseButton) pauseButton.textContent = paused ? '▶ Resume' : '⏸ Pause';
+}
+
+/**
+ * Pause is only offered while an unsolved game is in progress
+ */
+function updatePauseButton() {
+    const pauseButton = document.getElementById('pauseButton');
+    if (pauseButton) pauseButton.disabled = !gameStarted || !engine || isPuzzleSolved();
+}
+
 /**
  * Update the timer display
  */
 function updateTimer() {
     if (gameStartTime) {
-        const elapsed = Math.floor((Date.now() - gameStartTime) / 1000);
+        const elapsed = Math.floor(getElapsedTime() / 1000);
         const minutes = Math.floor(elapsed / 60);
         const seconds = elapsed % 60;
         document.getElementById('timeDisplay').textContent = 
@@ -1304,6 +2143,16 @@ function incrementMoveCount() {
     }
 }
 
+/**
+ * Take an undone move back off the counter
+ */
+function decrementMoveCount() {
+    if (gameStarted && moveCount > 0) {
+        moveCount--;
+        updateMoveCount();
+    }
+}
+
 /**
  * Update move count display
  */
@@ -1322,7 +2171,16 @@ function resetGameStats() {
     
     gameStartTime = null;
     moveCount = 0;
+    hintsUsed = 0;
+    undosUsed = 0;
+    pausedAt = null;
+    pauseCount = 0;
+    pausedTime = 0;
+    showPausedBoard(null);
+    updatePauseButton();
     updateMoveCount();
+    updateHintButton();
+    updateUndoButtons();
     document.getElementById('timeDisplay').textContent = '0:00';
 }
 
@@ -1330,34 +2188,34 @@ function resetGameStats() {
  * End the game
  */
 function endGame() {
+    // The last slide's animation and the auto-solver can both report the win
+    if (!gameStarted) return;
+    gameStarted = false;
+    
     if (gameTimer) {
         clearInterval(gameTimer);
     }
     
-    const finalTime = gameStartTime ? Math.floor((Date.now() - gameStartTime) / 1000) : 0;
-    
-    // Update best scores
-    const currentBest = getBestTime();
-    if (!currentBest || finalTime < parseInt(currentBest)) {
-        localStorage.setItem(`bestTime_${puzzleSize}`, finalTime);
-    }
+    const finalTime = Math.floor(getElapsedTime() / 1000);
     
-    const currentBestMoves = getBestMoves();
-    if (!currentBestMoves || moveCount < parseInt(currentBestMoves)) {
-        localStorage.setItem(`bestMoves_${puzzleSize}`, moveCount);
-    }
+    // Update personal bests (auto-solved games don't count)
+    const newBests = wasAutoSolved() ? [] : PersonalBests.record(currentUser ? currentUser.username : null, {
+        size: PuzzleEngine.getSizeLabel(puzzleSize),
+        mode: getGameMode(),
+        time: finalTime,
+        moves: moveCount
+    });
     
     updateBestStats();
     updateGameStatus('won');
-    showWinMessage(finalTime, moveCount);
+    clearSavedGame();
+    updatePauseButton();
+    const score = calculateGameScore(finalTime, moveCount);
+    completeDailyChallenge(finalTime, moveCount);
+    showWinMessage(finalTime, moveCount, score, newBests);
     
-    // Check for achievements
-    checkAchievements(finalTime, moveCount, puzzleSize);
-    
-    // Save game statistics for logged-in users
-    if (currentUser) {
-        saveGameStats(finalTime, moveCount, puzzleSize);
-    }
+    // Check for achievements (after the win above is stored)
+    checkAchievements();
     
     playWinSound();
 }
@@ -1368,8 +2226,11 @@ function endGame() {
 function updateBestStats() {
     const bestTime = getBestTime();
     const bestMoves = getBestMoves();
+    const scope = `${PuzzleEngine.getSizeLabel(puzzleSize)}, ${PersonalBests.MODES[getGameMode()] || getGameMode()}`;
+    document.getElementById('bestTime').title = `Your best time (${scope})`;
+    document.getElementById('bestMoves').title = `Your fewest moves (${scope})`;
     
-    if (bestTime) {
+    if (bestTime !== null) {
         const minutes = Math.floor(bestTime / 60);
         const seconds = bestTime % 60;
         document.getElementById('bestTime').textContent = 
@@ -1384,17 +2245,48 @@ function updateBestStats() {
 /**
  * Show win message
  */
-function showWinMessage(time, moves) {
-    const minutes = Math.floor(time / 60);
-    const seconds = time % 60;
-    const timeText = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    
-    document.getElementById('finalStats').innerHTML = 
-        `Time: ${timeText}<br>Moves: ${moves}`;
+function showWinMessage(time, moves, score = null, newBests = []) {
+    const formatTime = value => `${Math.floor(value / 60)}:${(value % 60).toString().padStart(2, '0')}`;
+    const timeText = formatTime(time);
+    
+    const details = [];
+    if (score !== null) details.push(`Score: ${score.toLocaleString()} points`);
+    const efficiency = getMoveEfficiency(moves);
+    if (isOptimalWin(moves)) {
+        details.push(`Optimal solution! (${efficiency.optimalMoves} moves)`);
+    } else if (efficiency) {
+        const label = efficiency.optimalExact ? 'optimal' : 'best known';
+        details.push(`Efficiency: ${Math.round(efficiency.efficiency * 100)}% ` +
+            `(${efficiency.wastedMoves} wasted moves, ${label} ${efficiency.optimalMoves})`);
+    } else if (!wasAutoSolved()) {
+        // Analysis still running, impossible without a worker, or a resumed game with no known start
+        details.push('Efficiency: not rated (shortest solution unknown)');
+    }
+    if (hintsUsed > 0) details.push(`Hints used: ${hintsUsed}`);
+    if (dailyChallenge && dailyChallenge.rank) {
+        details.push(`Daily Challenge rank: #${dailyChallenge.rank} today`);
+    } else if (dailyChallenge) {
+        details.push('Daily Challenge practice (unranked)');
+    }
+    
+    document.getElementById('finalTime').textContent = timeText;
+    document.getElementById('finalMoves').textContent = moves;
+    document.getElementById('finalDetails').textContent = details.join(' • ');
+    
+    // Celebrate beating an earlier personal best (a first result isn't a record yet)
+    const improved = newBests.filter(best => best.previous !== null);
+    const recordMessage = document.getElementById('newRecordMessage');
+    if (recordMessage) {
+        recordMessage.style.display = improved.length ? '' : 'none';
+        recordMessage.querySelector('.badge-text').textContent = 'New Personal Best! ' + improved.map(best =>
+            best.stat === 'time' ?
+                `Time ${formatTime(best.value)} (was ${formatTime(best.previous)})` :
+                `Moves ${best.value} (was ${best.previous})`).join(' • ');
+    }
     document.getElementById('winMessage').classList.remove('hidden');
     
     // Record game statistics for admin dashboard
-    recordGameStatistics(time, moves, true);
+    recordGameStatistics(time, moves, true, score);
     
     // End game tracking (completed)
     endGameTracking(true);
@@ -1506,6 +2398,7 @@ async function checkUserAuthentication() {
             currentUser = JSON.parse(currentUserData);
             setupUserInterface();
             loadUserPreferences();
+            evaluateAchievementHistory();
         } else {
             setupGuestInterface();
         }
@@ -1606,9 +2499,7 @@ async function loadUserPreferences() {
     if (!currentUser) return;
     
     try {
-        // Load preferences from localStorage instead of API
-        const prefsKey = `fifteenPuzzlePreferences_${currentUser.username}`;
-        const userPrefs = JSON.parse(localStorage.getItem(prefsKey) || '{}');
+        const userPrefs = await DatabaseAPI.getPreferences(currentUser);
         
         // Apply puzzle size preference
         const puzzleSizeEl = document.getElementById('puzzleSize');
@@ -1627,7 +2518,7 @@ async function loadUserPreferences() {
             currentBackground = userPrefs.currentBackground;
         }
         
-        console.log('User preferences loaded from localStorage:', userPrefs);
+        console.log('User preferences loaded:', userPrefs);
     } catch (error) {
         console.error('Error loading user preferences:', error);
     }
@@ -1640,9 +2531,7 @@ async function loadUserStats() {
     if (!currentUser) return;
     
     try {
-        // Load stats from localStorage instead of API
-        const playerStatsKey = `fifteenPuzzlePlayerStats_${currentUser.username}`;
-        const playerStats = JSON.parse(localStorage.getItem(playerStatsKey) || '{}');
+        const playerStats = await DatabaseAPI.getUserStats(currentUser);
         
         // Update stats display if elements exist
         const totalGamesEl = document.getElementById('totalGames');
@@ -1661,7 +2550,7 @@ async function loadUserStats() {
                 playerStats.bestTime + 's' : 'N/A';
         }
         
-        console.log('User stats loaded from localStorage:', playerStats);
+        console.log('User stats loaded:', playerStats);
     } catch (error) {
         console.error('Error loading user stats:', error);
     }
@@ -1683,14 +2572,11 @@ function showPreferences() {
  */
 async function loadCurrentPreferences() {
     try {
-        const response = await fetch(`api.php?action=get_preferences&user_id=${currentUser.id}`);
-        const result = await response.json();
-        
-        if (result.success && result.preferences) {
-            const prefs = result.preferences;
-            document.getElementById('prefPuzzleSize').value = prefs.puzzle_size || '4';
-            document.getElementById('prefBackgroundImage').value = prefs.background_image_id || '1';
-        }
+        const prefs = await DatabaseAPI.getPreferences(currentUser);
+        const prefPuzzleSizeEl = document.getElementById('prefPuzzleSize');
+        const prefBackgroundImageEl = document.getElementById('prefBackgroundImage');
+        if (prefPuzzleSizeEl) prefPuzzleSizeEl.value = prefs.puzzleSize || '4';
+        if (prefBackgroundImageEl) prefBackgroundImageEl.value = prefs.backgroundImageId || '1';
     } catch (error) {
         console.error('Error loading preferences:', error);
     }
@@ -1716,9 +2602,7 @@ async function savePreferences(event) {
             savedAt: new Date().toISOString()
         };
         
-        // Save to localStorage
-        const prefsKey = `fifteenPuzzlePreferences_${currentUser.username}`;
-        localStorage.setItem(prefsKey, JSON.stringify(preferences));
+        await DatabaseAPI.savePreferences(currentUser, preferences);
         
         alert('Preferences saved successfully!');
         
@@ -1731,13 +2615,18 @@ async function savePreferences(event) {
         // Reload and apply preferences
         loadUserPreferences();
         
-        console.log('Preferences saved to localStorage:', preferences);
+        console.log('Preferences saved:', preferences);
     } catch (error) {
         console.error('Error saving preferences:', error);
         alert('Error saving preferences. Please try again.');
     }
 }
 
+/**
+ * Leaderboard page being shown; filters and tabs go back to the first page
+ */
+let leaderboardPage = 1;
+
 /**
  * Load leaderboards
  */
@@ -1753,35 +2642,136 @@ async function loadLeaderboards() {
         
         const puzzleSize = puzzleSizeEl.value;
         const type = typeEl.value;
+        const options = {
+            page: leaderboardPage,
+            player: currentUser ? currentUser.username : null
+        };
         
-        const response = await fetch(`api.php?action=get_leaderboard&puzzle_size=${puzzleSize}&type=${type}`);
-        const result = await response.json();
+        // The Daily Challenge tab is always today's; the others pick a window
+        const windowEl = document.getElementById('leaderboardWindow');
+        if (windowEl) windowEl.classList.toggle('hidden', type === 'daily');
+        options.window = windowEl ? windowEl.value : 'all';
         
-        if (result.success) {
-            updateLeaderboardDisplay(result.leaderboard, type);
+        // Daily rankings are kept with the daily attempts on this device
+        if (type === 'daily') {
+            updateLeaderboardDisplay(LeaderboardService.paginate(getDailyLeaderboard(parseSizeValue(puzzleSize)), options), type);
+            return;
         }
+        
+        updateLeaderboardDisplay(await DatabaseAPI.getLeaderboard(puzzleSize, type, options), type);
     } catch (error) {
         console.error('Error loading leaderboard:', error);
     }
 }
 
 /**
- * Update leaderboard display
+ * Show another page of the leaderboard (delta -1 or +1)
+ */
+function changeLeaderboardPage(delta) {
+    leaderboardPage = Math.max(1, leaderboardPage + delta);
+    loadLeaderboards();
+}
+
+/**
+ * Open the leaderboard modal on a tab ('time', 'moves', 'score', 'wins' or 'daily')
+ */
+function showLeaderboard(type, size) {
+    const modal = document.getElementById('leaderboardModal');
+    const typeEl = document.getElementById('leaderboardType');
+    const puzzleSizeEl = document.getElementById('leaderboardPuzzleSize');
+    if (!modal || !typeEl) return;
+    
+    typeEl.value = type;
+    if (size && puzzleSizeEl) puzzleSizeEl.value = size;
+    leaderboardPage = 1;
+    
+    document.querySelectorAll('.leaderboard-tabs .tab-btn').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === type);
+    });
+    
+    modal.classList.remove('hidden');
+    loadLeaderboards();
+}
+
+/**
+ * Today's Daily Challenge results in the same shape as DatabaseAPI leaderboard rows
+ */
+function getDailyLeaderboard(size) {
+    return DailyChallenge.getLeaderboard(DailyChallenge.getDayKey(), size).map(attempt => ({
+        username: attempt.player,
+        completion_time: attempt.timeInSeconds,
+        moves: attempt.moves,
+        date_played: attempt.completedAt
+    }));
+}
+
+/**
+ * Update leaderboard display from a page of rows (see leaderboard-service.js).
+ * The current player's own rank is added below the page when they are not on it.
  */
 function updateLeaderboardDisplay(leaderboard, type) {
     const tbody = document.querySelector('#leaderboardTable tbody');
     tbody.innerHTML = '';
     
-    leaderboard.forEach((entry, index) => {
+    const headers = { time: 'Time', moves: 'Moves', score: 'Score', wins: 'Wins', daily: 'Time • Moves' };
+    const valueHeader = document.getElementById('leaderboardValueHeader');
+    if (valueHeader) valueHeader.textContent = headers[type] || 'Score';
+    
+    // The service may have clamped a page past the end
+    leaderboardPage = leaderboard.page;
+    updateLeaderboardPager(leaderboard);
+    
+    if (leaderboard.rows.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="4">${type === 'daily' ?
+            'Nobody has finished today\'s challenge yet.' : 'No results yet.'}</td></tr>`;
+        return;
+    }
+    
+    const addRow = entry => {
+        const values = {
+            time: entry.completion_time + 's',
+            moves: entry.moves,
+            score: typeof entry.score === 'number' ? entry.score.toLocaleString() : '--',
+            wins: entry.wins,
+            daily: `${entry.completion_time}s • ${entry.moves}`
+        };
         const row = document.createElement('tr');
+        if (currentUser && entry.username === currentUser.username) {
+            row.classList.add('current-player');
+        }
         row.innerHTML = `
-            <td>${index + 1}</td>
+            <td>${entry.rank}</td>
             <td>${entry.username}</td>
-            <td>${type === 'time' ? entry.completion_time + 's' : entry.moves}</td>
+            <td>${type in values ? values[type] : entry.moves}</td>
             <td>${new Date(entry.date_played).toLocaleDateString()}</td>
         `;
         tbody.appendChild(row);
-    });
+    };
+    
+    leaderboard.rows.forEach(addRow);
+    
+    const own = leaderboard.own;
+    if (own && !leaderboard.rows.some(entry => entry.username === own.row.username)) {
+        const gap = document.createElement('tr');
+        gap.className = 'leaderboard-gap';
+        gap.innerHTML = `<td colspan="4">Your rank: #${own.rank} of ${leaderboard.total}</td>`;
+        tbody.appendChild(gap);
+        addRow(own.row);
+    }
+}
+
+/**
+ * Page buttons under the leaderboard, shown when there is more than one page
+ */
+function updateLeaderboardPager(leaderboard) {
+    const pager = document.getElementById('leaderboardPager');
+    if (!pager) return;
+    
+    pager.classList.toggle('hidden', leaderboard.pages <= 1);
+    document.getElementById('leaderboardPageInfo').textContent =
+        `Page ${leaderboard.page} of ${leaderboard.pages} (${leaderboard.total} players)`;
+    document.getElementById('leaderboardPrev').disabled = leaderboard.page <= 1;
+    document.getElementById('leaderboardNext').disabled = leaderboard.page >= leaderboard.pages;
 }
 
 /**
@@ -1878,169 +2868,81 @@ async function loadBackgroundOptions() {
 }
 
 /**
- * Save game statistics when game is completed
+ * Achievements System - rules come from AchievementEngine, where admins
+ * define them; unlocked achievements are kept through DatabaseAPI
  */
-async function saveGameStats(completionTime, moves, puzzleSize) {
+
+/**
+ * Check for new achievements after game completion. The won game is the
+ * newest in the player's stored history, so it must be recorded first.
+ */
+async function checkAchievements() {
     if (!currentUser) return;
     
-    const formData = new FormData();
-    formData.append('action', 'save_game_stats');
-    formData.append('user_id', currentUser.id);
-    formData.append('puzzle_size', puzzleSize);
-    formData.append('completion_time', completionTime);
-    formData.append('moves', moves);
-    formData.append('background_image_id', backgroundImageId || 1);
-    
     try {
-        const response = await fetch('api.php', {
-            method: 'POST',
-            body: formData
-        });
-        const result = await response.json();
+        const definitions = AchievementEngine.loadDefinitions();
+        const games = await DatabaseAPI.getGames({ player: currentUser.username });
+        const userAchievements = (await DatabaseAPI.getAchievements(currentUser)).map(a => a.id);
+        
+        const newAchievements = AchievementEngine.evaluate(definitions.rules, games)
+            .filter(rule => !userAchievements.includes(rule.id));
         
-        if (result.success) {
-            // Refresh user stats and leaderboard
-            loadUserStats();
-            loadLeaderboards();
+        for (const rule of newAchievements) {
+            await saveAchievement(rule.id, { version: definitions.version });
         }
+        
+        // Locked achievements this game took past 50% or 90% of the way
+        const milestones = AchievementEngine.getMilestones(definitions.rules, games,
+            userAchievements.concat(newAchievements.map(rule => rule.id)));
+        
+        // Display new achievements, then milestones
+        displayAchievements(newAchievements.concat(milestones.map(entry =>
+            Object.assign({}, entry.rule, { milestone: entry.milestone, progress: entry.progress }))));
+        
     } catch (error) {
-        console.error('Error saving game stats:', error);
+        console.error('Error checking achievements:', error);
     }
 }
 
 /**
- * Achievements System
- */
-const ACHIEVEMENTS = {
-    FIRST_WIN: {
-        id: 'first_win',
-        name: 'First Victory!',
-        description: 'Complete your first puzzle',
-        icon: '🏆',
-        condition: (stats) => stats.totalGames >= 1
-    },
-    SPEED_DEMON_3X3: {
-        id: 'speed_demon_3x3',
-        name: 'Speed Demon',
-        description: 'Solve a 3x3 puzzle in under 30 seconds',
-        icon: '⚡',
-        condition: (stats, time, moves, size) => size === 3 && time < 30
-    },
-    SPEED_DEMON_4X4: {
-        id: 'speed_demon_4x4',
-        name: 'Lightning Fast',
-        description: 'Solve a 4x4 puzzle in under 60 seconds',
-        icon: '⚡',
-        condition: (stats, time, moves, size) => size === 4 && time < 60
-    },
-    EFFICIENCY_MASTER: {
-        id: 'efficiency_master',
-        name: 'Efficiency Master',
-        description: 'Solve a 4x4 puzzle in under 100 moves',
-        icon: '🎯',
-        condition: (stats, time, moves, size) => size === 4 && moves < 100
-    },
-    PUZZLE_VETERAN: {
-        id: 'puzzle_veteran',
-        name: 'Puzzle Veteran',
-        description: 'Complete 10 puzzles',
-        icon: '🎖️',
-        condition: (stats) => stats.totalGames >= 10
-    },
-    PUZZLE_MASTER: {
-        id: 'puzzle_master',
-        name: 'Puzzle Master',
-        description: 'Complete 50 puzzles',
-        icon: '👑',
-        condition: (stats) => stats.totalGames >= 50
-    },
-    PERFECTIONIST: {
-        id: 'perfectionist',
-        name: 'Perfectionist',
-        description: 'Solve a 3x3 puzzle in optimal moves (22 or fewer)',
-        icon: '💎',
-        condition: (stats, time, moves, size) => size === 3 && moves <= 22
-    },
-    BIG_PUZZLE_SOLVER: {
-        id: 'big_puzzle_solver',
-        name: 'Big Puzzle Solver',
-        description: 'Complete a 5x5 puzzle',
-        icon: '🧩',
-        condition: (stats, time, moves, size) => size === 5
-    }
-};
-
-/**
- * Check for new achievements after game completion
+ * Award anything the player's stored history earns under the current
+ * rules but they don't have yet - e.g. after an admin adds a rule.
+ * Runs once per rules version per player on this device.
  */
-async function checkAchievements(completionTime, moves, puzzleSize) {
+async function evaluateAchievementHistory() {
     if (!currentUser) return;
     
+    const definitions = AchievementEngine.loadDefinitions();
+    const checkedKey = `fifteenPuzzleAchievementsChecked_${currentUser.username}`;
+    if (parseInt(localStorage.getItem(checkedKey)) === definitions.version) return;
+    
     try {
-        // Get current user stats
-        const statsResponse = await fetch(`api.php?action=get_user_stats&user_id=${currentUser.id}`);
-        const statsResult = await statsResponse.json();
-        
-        if (!statsResult.success) return;
-        
-        // Calculate total games from all puzzle sizes
-        const userStatsArray = statsResult.stats || [];
-        let totalGames = 0;
-        for (const stat of userStatsArray) {
-            totalGames += parseInt(stat.games_played || 0);
-        }
-        
-        const userStats = { totalGames: totalGames };
+        const games = await DatabaseAPI.getGames({ player: currentUser.username });
+        const userAchievements = (await DatabaseAPI.getAchievements(currentUser)).map(a => a.id);
+        const earned = AchievementEngine.evaluateHistory(definitions.rules, games)
+            .filter(entry => !userAchievements.includes(entry.rule.id));
         
-        // Get user's current achievements
-        const achievementsResponse = await fetch(`api.php?action=get_user_achievements&user_id=${currentUser.id}`);
-        const achievementsResult = await achievementsResponse.json();
-        
-        const userAchievements = achievementsResult.success ? 
-            achievementsResult.achievements.map(a => a.achievement_id) : [];
-        
-        // Check each achievement
-        const newAchievements = [];
-        
-        for (const [key, achievement] of Object.entries(ACHIEVEMENTS)) {
-            // Skip if user already has this achievement
-            if (userAchievements.includes(achievement.id)) continue;
-            
-            // Check if achievement condition is met
-            if (achievement.condition(userStats, completionTime, moves, puzzleSize)) {
-                newAchievements.push(achievement);
-                
-                // Save achievement to database
-                await saveAchievement(achievement.id);
-            }
+        for (const entry of earned) {
+            await saveAchievement(entry.rule.id, { version: definitions.version, unlockedAt: entry.game.date });
         }
+        localStorage.setItem(checkedKey, definitions.version);
         
-        // Display new achievements
-        if (newAchievements.length > 0) {
-            displayAchievements(newAchievements);
+        if (earned.length > 0) {
+            displayAchievements(earned.map(entry => entry.rule));
         }
-        
     } catch (error) {
-        console.error('Error checking achievements:', error);
+        console.error('Error evaluating achievement history:', error);
     }
 }
 
 /**
- * Save achievement to database
+ * Save an unlocked achievement for the current user
  */
-async function saveAchievement(achievementId) {
+async function saveAchievement(achievementId, details) {
     if (!currentUser) return;
     
-    const formData = new FormData();
-    formData.append('action', 'save_achievement');
-    formData.append('user_id', currentUser.id);
-    formData.append('achievement_id', achievementId);
-    
     try {
-        await fetch('api.php', {
-            method: 'POST',
-            body: formData
-        });
+        await DatabaseAPI.saveAchievement(currentUser, achievementId, details);
     } catch (error) {
         console.error('Error saving achievement:', error);
     }
@@ -2058,19 +2960,27 @@ function displayAchievements(achievements) {
 }
 
 /**
- * Show individual achievement notification
+ * Show individual achievement notification. An achievement with a
+ * milestone (0.5 or 0.9) announces progress toward it instead.
  */
 function showAchievementNotification(achievement) {
+    const title = achievement.milestone ?
+        (achievement.milestone >= 0.9 ? 'Almost there!' : 'Halfway there!') :
+        'Achievement Unlocked!';
+    const description = achievement.milestone ?
+        `${achievement.description} • ${achievement.progress.current} / ${achievement.progress.target}` :
+        achievement.description;
+    
     // Create achievement notification element
     const notification = document.createElement('div');
-    notification.className = 'achievement-notification';
+    notification.className = 'achievement-notification' + (achievement.milestone ? ' milestone' : '');
     notification.innerHTML = `
         <div class="achievement-content">
             <div class="achievement-icon">${achievement.icon}</div>
             <div class="achievement-text">
-                <div class="achievement-title">Achievement Unlocked!</div>
+                <div class="achievement-title">${title}</div>
                 <div class="achievement-name">${achievement.name}</div>
-                <div class="achievement-description">${achievement.description}</div>
+                <div class="achievement-description">${description}</div>
             </div>
         </div>
     `;
@@ -2095,15 +3005,15 @@ function showAchievementNotification(achievement) {
 }
 
 /**
- * Record game statistics for admin dashboard
+ * Record game statistics for admin dashboard. Resolves once the game is stored.
+ * Guest games are kept on this device until the guest signs in (see guest-session.js).
  */
-function recordGameStatistics(timeInSeconds, moves, completed) {
+async function recordGameStatistics(timeInSeconds, moves, completed, score = null) {
     const currentUserData = localStorage.getItem('fifteenPuzzleCurrentUser');
-    if (!currentUserData) return; // Only record for logged-in users
     
     // Parse the current user data to get the username
-    const currentUser = JSON.parse(currentUserData);
-    const playerName = currentUser.username || 'Guest';
+    const currentUser = currentUserData ? JSON.parse(currentUserData) : null;
+    const playerName = currentUser ? currentUser.username || 'Guest' : GuestSession.getIdentity().id;
     
     const currentBackground = document.getElementById('backgroundSelect').value || 'Default';
     
@@ -2115,21 +3025,41 @@ function recordGameStatistics(timeInSeconds, moves, completed) {
         moves: moves,
         completed: completed,
         background: currentBackground,
-        puzzleSize: puzzleSize
+        puzzleSize: puzzleSize,
+        hintsUsed: hintsUsed,
+        undosUsed: undosUsed,
+        pauseCount: pauseCount,
+        pausedSeconds: Math.round(getPausedTime() / 1000),
+        seed: currentPuzzle && currentPuzzle.seed ? currentPuzzle.seed : null,
+        puzzleCode: currentPuzzle ? getPuzzleHash(currentPuzzle) : null, // Same code = same puzzle
+        sharedPuzzle: !!(currentPuzzle && currentPuzzle.shared),
+        dailyChallenge: dailyChallenge ? dailyChallenge.day : null,
+        dailyRanked: !!(dailyChallenge && dailyChallenge.ranked),
+        difficulty: currentPuzzle && currentPuzzle.difficulty ? currentPuzzle.difficulty : null,
+        score: score,
+        replay: getReplayData()
     };
+    // Efficiency is only meaningful for a finished game
+    Object.assign(gameData, completed && getMoveEfficiency(moves) ||
+        { optimalMoves: null, optimalExact: false, efficiency: null, wastedMoves: null });
     
-    // Get existing game statistics
-    const existingStats = JSON.parse(localStorage.getItem('fifteenPuzzleGameStats') || '[]');
-    existingStats.push(gameData);
-    
-    // Keep only the most recent 1000 games to prevent localStorage from getting too large
-    if (existingStats.length > 1000) {
-        existingStats.splice(0, existingStats.length - 1000);
+    try {
+        if (currentUser) {
+            await DatabaseAPI.addGame(currentUser, gameData);
+        } else {
+            GuestSession.recordGame(gameData);
+        }
+        console.log('Game statistics recorded:', gameData);
+    } catch (error) {
+        console.error('Error saving game stats:', error);
+        return;
     }
     
-    localStorage.setItem('fifteenPuzzleGameStats', JSON.stringify(existingStats));
-    
-    console.log('Game statistics recorded:', gameData);
+    if (completed) {
+        // Refresh user stats and leaderboard
+        loadUserStats();
+        loadLeaderboards();
+    }
 }
 
 /**
@@ -2154,17 +3084,185 @@ function endGameTracking(completed = false) {
     currentGameStartMoves = 0;
 }
 
+/**
+ * Autosave - the in-progress game is kept per user so a reload or a closed
+ * tab can pick it up again. Saved after every move and when the page is hidden.
+ */
+function getSavedGameKey() {
+    return SAVED_GAME_PREFIX + (currentUser ? currentUser.id : 'guest');
+}
+
+function saveGameInProgress() {
+    if (!gameStarted || !engine || isPuzzleSolved()) return;
+    
+    const now = Date.now();
+    const savedGame = {
+        size: puzzleSize,
+        board: engine.board.slice(),
+        history: engine.history.slice(),
+        future: engine.future.slice(),
+        moveCount: moveCount,
+        elapsed: gameStartTime ? getElapsedTime() : null, // null until the first move starts the timer
+        trackedFor: currentGameStartTime ? now - currentGameStartTime : 0,
+        hintsUsed: hintsUsed,
+        undosUsed: undosUsed,
+        pauseCount: pauseCount,
+        pausedTime: getPausedTime(),
+        background: currentBackground,
+        puzzle: currentPuzzle,
+        dailyChallenge: dailyChallenge,
+        scrambleOptimum: scrambleOptimum,
+        recording: gameRecording ? { ...gameRecording, startedAt: now - gameRecording.startedAt } : null,
+        savedAt: new Date(now).toISOString()
+    };
+    
+    try {
+        localStorage.setItem(getSavedGameKey(), JSON.stringify(savedGame));
+    } catch (error) {
+        console.error('Could not autosave the game:', error);
+    }
+}
+
+/**
+ * The current user's saved game, or null
+ */
+function loadSavedGame() {
+    try {
+        return JSON.parse(localStorage.getItem(getSavedGameKey()) || 'null');
+    } catch (error) {
+        console.error('Error reading saved game:', error);
+        return null;
+    }
+}
+
+function clearSavedGame() {
+    localStorage.removeItem(getSavedGameKey());
+    hideResumePrompt();
+}
+
+/**
+ * Show the "Resume game" prompt if the current user has an unfinished game
+ */
+function offerSavedGame() {
+    const savedGame = loadSavedGame();
+    const prompt = document.getElementById('resumeGamePrompt');
+    if (!savedGame || !prompt) return;
+    
+    const seconds = Math.floor((savedGame.elapsed || 0) / 1000);
+    const timeText = `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+    document.getElementById('resumeGameText').textContent =
+        `Unfinished ${PuzzleEngine.getSizeLabel(savedGame.size)} game: ` +
+        `${savedGame.moveCount} moves, ${timeText}.`;
+    prompt.classList.remove('hidden');
+}
+
+function hideResumePrompt() {
+    const prompt = document.getElementById('resumeGamePrompt');
+    if (prompt) prompt.classList.add('hidden');
+}
+
+/**
+ * Put the saved game back on the board and carry on where it left off
+ */
+function resumeSavedGame() {
+    const savedGame = loadSavedGame();
+    hideResumePrompt();
+    if (!savedGame) return;
+    
+    const sizeRadio = document.querySelector(`input[name="puzzleSize"][value="${savedGame.size}"]`);
+    if (!sizeRadio || sizeRadio.disabled) {
+        alert(`${PuzzleEngine.getSizeLabel(savedGame.size)} puzzles are currently disabled, so this game can't be resumed.`);
+        clearSavedGame();
+        return;
+    }
+    
+    endGameTracking(false);
+    sizeRadio.checked = true;
+    puzzleSize = savedGame.size;
+    
+    const backgroundSelect = document.getElementById('backgroundSelect');
+    if (backgroundSelect && Array.from(backgroundSelect.options).some(option => option.value === savedGame.background)) {
+        backgroundSelect.value = savedGame.background;
+    }
+    initializeGame();
+    
+    try {
+        engine.load(savedGame.board);
+    } catch (error) {
+        console.error('Saved game is not a valid board:', error);
+        alert('The saved game could not be restored.');
+        clearSavedGame();
+        return;
+    }
+    engine.history = savedGame.history || [];
+    engine.future = savedGame.future || [];
+    
+    const now = Date.now();
+    gameStarted = true;
+    moveCount = savedGame.moveCount;
+    hintsUsed = savedGame.hintsUsed || 0;
+    undosUsed = savedGame.undosUsed || 0;
+    pauseCount = savedGame.pauseCount || 0;
+    pausedTime = savedGame.pausedTime || 0;
+    currentPuzzle = savedGame.puzzle;
+    dailyChallenge = savedGame.dailyChallenge;
+    gameRecording = savedGame.recording ?
+        { ...savedGame.recording, startedAt: now - savedGame.recording.startedAt } : null;
+    currentGameStartTime = now - (savedGame.trackedFor || 0);
+    currentGameStartMoves = 0;
+    
+    // Games saved before the scramble was analyzed are analyzed again, from
+    // the replay's first board or else the board the saved puzzle generates
+    const startBoard = gameRecording && gameRecording.startBoard ? gameRecording.startBoard :
+        (savedGame.puzzle ? getPuzzleBoard(savedGame.puzzle) : null);
+    if (savedGame.scrambleOptimum) {
+        stopAnalysisWorker();
+        scrambleOptimum = savedGame.scrambleOptimum;
+    } else if (startBoard) {
+        analyzeScramble(startBoard.slice());
+    } else {
+        stopAnalysisWorker();
+        scrambleOptimum = null;
+    }
+    
+    // The timer only runs once the first move has been made
+    if (savedGame.elapsed !== null) {
+        gameStartTime = now - savedGame.elapsed;
+        gameTimer = setInterval(updateTimer, 100);
+        updateTimer();
+    }
+    
+    updateMoveCount();
+    updateAllTiles();
+    enableTileInteraction();
+    updateUndoButtons();
+    updateShareButton();
+    updateDailyChallengeInfo();
+    
+    document.getElementById('startButton').textContent = 'Restart';
+    document.getElementById('shuffleButton').disabled = false;
+    document.getElementById('cheatButton').disabled = false;
+    updateHintButton();
+    updatePauseButton();
+    updateGameStatus('playing');
+}
+
 /**
  * System Configuration Integration
  */
 let gameConfig = {
-    maxMovesForWin: 100,
     timeLimit: 0,
     animationSpeed: 250,
     showMoveCounter: true,
     showTimer: true,
     enableSounds: true,
-    shuffleComplexity: 100,
+    shuffleComplexity: 'medium', // Scramble difficulty, see ScrambleGenerator.DIFFICULTY_BANDS
+    solverTimeLimit: 10, // Seconds of optimal search before the solver falls back
+    hintSystem: 'unlimited', // 'disabled', 'limited' or 'unlimited'
+    hintShowsRemaining: true,
+    allowUndo: true,
+    undoCountsAsMove: false, // When false an undo takes the undone move back off the count
+    scoreWeights: GameScore.DEFAULT_WEIGHTS, // See game-score.js
     defaultPuzzleSize: 4
 };
 
@@ -2175,13 +3273,19 @@ function loadSystemConfiguration() {
             const config = JSON.parse(configData);
             
             // Apply configuration
-            gameConfig.maxMovesForWin = config.maxMovesForWin || 100;
             gameConfig.timeLimit = config.timeLimit || 0;
+            gameConfig.solverTimeLimit = config.solverTimeLimit || 10;
+            gameConfig.hintSystem = config.hintSystem || 'unlimited';
+            gameConfig.hintShowsRemaining = config.hintShowsRemaining !== 'false';
+            gameConfig.allowUndo = config.undoRedo !== 'disabled';
+            gameConfig.undoCountsAsMove = config.undoCountsAsMove === 'true';
             gameConfig.showMoveCounter = config.showMoveCounter !== 'false';
             gameConfig.showTimer = config.showTimer !== 'false';
+            gameConfig.scoreWeights = GameScore.normalizeWeights(config.scoreWeights);
             
             // Apply default puzzle size only if no radio button is currently checked
-            if (config.defaultPuzzleSize && [3, 4, 5].includes(config.defaultPuzzleSize)) {
+            if (config.defaultPuzzleSize &&
+                document.querySelector(`input[name="puzzleSize"][value="${config.defaultPuzzleSize}"]`)) {
                 const currentChecked = document.querySelector('input[name="puzzleSize"]:checked');
                 if (!currentChecked) {
                     puzzleSize = config.defaultPuzzleSize;
@@ -2192,7 +3296,7 @@ function loadSystemConfiguration() {
                     }
                 } else {
                     // Use the currently checked radio button value
-                    puzzleSize = parseInt(currentChecked.value);
+                    puzzleSize = parseSizeValue(currentChecked.value);
                 }
             }
             
@@ -2217,18 +3321,20 @@ function loadSystemConfiguration() {
                 if (music) music.volume = 0.3; // Default volume
             }
             
-            // Apply shuffle complexity for new games
-            if (config.shuffleComplexity) {
-                const complexityMap = { easy: 50, medium: 100, hard: 200, expert: 500 };
-                gameConfig.shuffleComplexity = complexityMap[config.shuffleComplexity] || 100;
+            // Apply scramble difficulty for new games
+            if (config.shuffleComplexity in ScrambleGenerator.DIFFICULTY_BANDS) {
+                gameConfig.shuffleComplexity = config.shuffleComplexity;
             }
             
             // Apply available puzzle sizes restrictions
             if (config.availableSizes) {
                 const sizeRadios = document.querySelectorAll('input[name="puzzleSize"]');
                 sizeRadios.forEach(radio => {
-                    const size = radio.value;
-                    const isEnabled = config.availableSizes[`size${size}x${size}`];
+                    // Keys look like size4x4 or size3x5; sizes missing from an older
+                    // saved config keep the page default (disabled in the HTML or not)
+                    const key = `size${PuzzleEngine.getSizeLabel(radio.value)}`;
+                    const isEnabled = key in config.availableSizes ?
+                        config.availableSizes[key] : !radio.hasAttribute('disabled');
                     radio.disabled = !isEnabled;
                     if (!isEnabled && radio.checked) {
                         // If current selection is disabled, find first enabled option
@@ -2236,7 +3342,7 @@ function loadSystemConfiguration() {
                         if (enabledRadio) {
                             radio.checked = false;
                             enabledRadio.checked = true;
-                            puzzleSize = parseInt(enabledRadio.value);
+                            puzzleSize = parseSizeValue(enabledRadio.value);
                         }
                     }
                 });
@@ -2256,6 +3362,11 @@ function loadSystemConfiguration() {
         console.error('Error loading system configuration:', error);
     }
     
+    // Hide the large and rectangular rows when none of their sizes is enabled
+    document.querySelectorAll('.size-selector-extra').forEach(row => {
+        row.style.display = row.querySelector('.size-input:not(:disabled)') ? '' : 'none';
+    });
+    
     // Listen for configuration changes
     setupConfigurationChangeListener();
 }
@@ -2271,6 +3382,9 @@ function applyUIConfiguration() {
     if (timerElement) {
         timerElement.style.display = gameConfig.showTimer ? 'block' : 'none';
     }
+    
+    updateHintButton();
+    updateUndoButtons();
 }
 
 function setupTimeLimit() {
@@ -2289,6 +3403,7 @@ function setupTimeLimit() {
         clearInterval(timeLimitInterval);
         
         timeLimitInterval = setInterval(() => {
+            if (isPaused()) return;
             timeRemaining--;
             
             // Update timer display to show remaining time
@@ -2318,11 +3433,13 @@ function handleTimeUp() {
     alert('Time\'s up! Game over.');
     
     // Record as incomplete game
-    const currentTime = (Date.now() - gameStartTime) / 1000;
+    const currentTime = getElapsedTime() / 1000;
     recordGameStatistics(currentTime, moveCount, false);
     
     // Stop the game
     gameStarted = false;
+    clearSavedGame();
+    updatePauseButton();
     updateGameStatus('timeup');
 }
 
@@ -2349,7 +3466,8 @@ function getTileAnimationSpeed() {
     return gameConfig.animationSpeed;
 }
 
-// Check if current game meets optimal win criteria
-function isOptimalWin(moves, timeInSeconds) {
-    return moves <= gameConfig.maxMovesForWin;
+// Check if the game was won in the proven shortest number of moves
+function isOptimalWin(moves) {
+    const efficiency = getMoveEfficiency(moves);
+    return !!(efficiency && efficiency.optimalExact && efficiency.wastedMoves === 0);
 }
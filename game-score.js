@@ -0,0 +1,96 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Game Score
+ * One points figure for a won game, comparable across sizes and scrambles:
+ *   tilePoints x tiles x performance x hint factor x mode multiplier
+ * performance blends speed (1 when instant, 0.5 at the par time of
+ * parSecondsPerTile per tile) with move efficiency (shortest known solution
+ * / moves), weighted by timeWeight and efficiencyWeight. Games without a
+ * known efficiency are rated on speed alone, even when timeWeight is 0.
+ * Each hint takes hintPenalty percent off, and the mode multiplier is the
+ * Daily Challenge one for a ranked attempt, otherwise the one for the
+ * scramble difficulty.
+ * Works as a browser global (window.GameScore) or a CommonJS module in Node
+ *
+ * Admins set the weights in fifteenPuzzleSystemConfig.scoreWeights.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GameScore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    const DEFAULT_WEIGHTS = {
+        tilePoints: 100,
+        parSecondsPerTile: 4,
+        timeWeight: 1,
+        efficiencyWeight: 1,
+        hintPenalty: 10,    // Percent per hint
+        modes: { easy: 0.8, medium: 1, hard: 1.25, expert: 1.5, daily: 1.25 }
+    };
+
+    /**
+     * Admin weights filled in with the defaults for anything missing
+     */
+    function normalizeWeights(weights) {
+        const merged = Object.assign({}, DEFAULT_WEIGHTS, weights || {});
+        merged.modes = Object.assign({}, DEFAULT_WEIGHTS.modes, (weights && weights.modes) || {});
+        return merged;
+    }
+
+    function countTiles(size) {
+        const dims = String(size).split('x').map(Number);
+        return dims[0] * (dims.length === 2 ? dims[1] : dims[0]) - 1;
+    }
+
+    /**
+     * Points for a game record ({ puzzleSize, timeInSeconds, hintsUsed,
+     * efficiency, difficulty, dailyRanked, completed }); null if not won
+     */
+    function calculate(game, weights) {
+        if (!game || !game.completed) return null;
+        const w = normalizeWeights(weights);
+        const tiles = countTiles(game.puzzleSize);
+        if (!(tiles > 0)) return null;
+
+        const par = w.parSecondsPerTile * tiles;
+        const speed = par > 0 ? par / (par + Math.max(0, game.timeInSeconds || 0)) : 1;
+        // Speed alone even when its weight is 0, so unrated games never get full marks
+        let performance = speed;
+        const totalWeight = w.timeWeight + w.efficiencyWeight;
+        if (typeof game.efficiency === 'number' && totalWeight > 0) {
+            performance = (w.timeWeight * speed + w.efficiencyWeight * game.efficiency) / totalWeight;
+        }
+
+        const hintFactor = Math.max(0, 1 - w.hintPenalty / 100 * (game.hintsUsed || 0));
+        const mode = game.dailyRanked ? w.modes.daily :
+            (Object.prototype.hasOwnProperty.call(w.modes, game.difficulty) ? w.modes[game.difficulty] : 1);
+
+        return Math.round(w.tilePoints * tiles * performance * hintFactor * mode);
+    }
+
+    /**
+     * Problem with a set of weights, or null if they are usable
+     */
+    function validateWeights(weights) {
+        const w = normalizeWeights(weights);
+        const numbers = ['tilePoints', 'parSecondsPerTile', 'timeWeight', 'efficiencyWeight', 'hintPenalty'];
+        const bad = numbers.find(name => typeof w[name] !== 'number' || !(w[name] >= 0));
+        if (bad) return `Score weight "${bad}" must be a number of 0 or more`;
+        if (w.timeWeight + w.efficiencyWeight <= 0) return 'Time and efficiency weights cannot both be 0';
+        if (w.hintPenalty > 100) return 'Hint penalty cannot be more than 100%';
+        const mode = Object.keys(w.modes).find(name => typeof w.modes[name] !== 'number' || !(w.modes[name] >= 0));
+        if (mode) return `The ${mode} multiplier must be a number of 0 or more`;
+        return null;
+    }
+
+    return {
+        DEFAULT_WEIGHTS: DEFAULT_WEIGHTS,
+        normalizeWeights: normalizeWeights,
+        calculate: calculate,
+        validateWeights: validateWeights
+    };
+});
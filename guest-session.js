@@ -0,0 +1,156 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Guest Sessions
+ * Games played without signing in are kept on this device under an
+ * anonymous identity ({ id: 'guest_...', createdAt }). When the guest signs
+ * in or registers they can import them: the games go into the account's
+ * history (through DatabaseAPI), guest personal bests are merged (see
+ * personal-bests.js) and achievements the combined history now earns are
+ * awarded. The guest data is cleared once imported.
+ * Works as a browser global (window.GuestSession) or a CommonJS module in Node
+ *
+ * Stored in localStorage under fifteenPuzzleGuestIdentity and fifteenPuzzleGuestGames.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./database-api.js'), require('./personal-bests.js'),
+            require('./achievement-engine.js'));
+    } else {
+        root.GuestSession = factory(root.DatabaseAPI, root.PersonalBests, root.AchievementEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function(DatabaseAPI, PersonalBests, AchievementEngine) {
+    "use strict";
+
+    const IDENTITY_KEY = 'fifteenPuzzleGuestIdentity';
+    const GAMES_KEY = 'fifteenPuzzleGuestGames';
+    const MAX_GAMES = 200;        // Oldest guest games are dropped past this
+    const MAX_REPLAYS = 20;       // Newest guest games that keep their replay
+
+    function readJSON(key, fallback) {
+        try {
+            return JSON.parse(localStorage.getItem(key) || 'null') || fallback;
+        } catch (error) {
+            console.error(`Error reading ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * This device's anonymous guest identity, created on first use
+     */
+    function getIdentity() {
+        let identity = readJSON(IDENTITY_KEY, null);
+        if (!identity || !identity.id) {
+            identity = {
+                id: 'guest_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+                createdAt: new Date().toISOString()
+            };
+            localStorage.setItem(IDENTITY_KEY, JSON.stringify(identity));
+        }
+        return identity;
+    }
+
+    function getGames() {
+        return readJSON(GAMES_KEY, []);
+    }
+
+    /**
+     * Keep a game record played as the guest
+     */
+    function recordGame(game) {
+        const games = getGames();
+        games.push(Object.assign({}, game, { player: getIdentity().id }));
+        if (games.length > MAX_GAMES) games.splice(0, games.length - MAX_GAMES);
+        games.slice(0, -MAX_REPLAYS).forEach(old => { delete old.replay; });
+        localStorage.setItem(GAMES_KEY, JSON.stringify(games));
+    }
+
+    /**
+     * What an import would bring: { games, wins, bests }
+     */
+    function getSummary() {
+        const games = getGames();
+        return {
+            games: games.length,
+            wins: games.filter(game => game.completed).length,
+            bests: PersonalBests.list(null).length
+        };
+    }
+
+    function hasHistory() {
+        const summary = getSummary();
+        return summary.games > 0 || summary.bests > 0;
+    }
+
+    /**
+     * Import the guest's games, personal bests and the achievements they
+     * earn into an account ({ id, username }). Resolves to
+     * { games, bests, achievements } where achievements are the newly
+     * awarded rules.
+     */
+    async function importInto(user) {
+        const guestId = getIdentity().id;
+        const games = getGames();
+        for (let i = 0; i < games.length; i++) {
+            await DatabaseAPI.addGame(user, Object.assign({}, games[i], { player: user.username, guestId: guestId }));
+            // Drop each game once it is in, so a failed import can be retried without duplicates
+            localStorage.setItem(GAMES_KEY, JSON.stringify(games.slice(i + 1)));
+        }
+        localStorage.removeItem(GAMES_KEY);
+
+        const bests = PersonalBests.migrateGuest(user.username);
+
+        const definitions = AchievementEngine.loadDefinitions();
+        const owned = (await DatabaseAPI.getAchievements(user)).map(a => a.id);
+        const earned = AchievementEngine.evaluateHistory(definitions.rules,
+            await DatabaseAPI.getGames({ player: user.username }))
+            .filter(entry => !owned.includes(entry.rule.id));
+        for (const entry of earned) {
+            await DatabaseAPI.saveAchievement(user, entry.rule.id,
+                { version: definitions.version, unlockedAt: entry.game.date });
+        }
+
+        localStorage.removeItem(IDENTITY_KEY);
+        return { games: games.length, bests: bests, achievements: earned.map(entry => entry.rule) };
+    }
+
+    /**
+     * Ask the guest whether to import into the account they just signed in
+     * to or created. Resolves to a sentence describing the import, or null
+     * if there was nothing to import, they declined or it failed (the guest
+     * data is then kept for next time).
+     */
+    async function offerImport(user) {
+        if (!hasHistory()) return null;
+        const summary = getSummary();
+        const parts = [];
+        if (summary.games) parts.push(`${summary.games} game${summary.games === 1 ? '' : 's'}`);
+        if (summary.bests) parts.push('your personal bests');
+        if (!confirm(`You have ${parts.join(' and ')} from playing as a guest on this device. ` +
+            `Import them into ${user.username}?`)) {
+            return null;
+        }
+
+        try {
+            const result = await importInto(user);
+            const unlocked = result.achievements.map(rule => rule.name);
+            return `Imported ${result.games} guest game${result.games === 1 ? '' : 's'}` +
+                (unlocked.length ? ` and unlocked ${unlocked.join(', ')}.` : '.');
+        } catch (error) {
+            console.error('Error importing guest games:', error);
+            alert('Your guest games could not be imported. You will be asked again next time you sign in.');
+            return null;
+        }
+    }
+
+    return {
+        MAX_GAMES: MAX_GAMES,
+        getIdentity: getIdentity,
+        getGames: getGames,
+        recordGame: recordGame,
+        getSummary: getSummary,
+        hasHistory: hasHistory,
+        importInto: importInto,
+        offerImport: offerImport
+    };
+});
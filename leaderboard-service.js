@@ -0,0 +1,130 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Leaderboard Service
+ * Rankings computed from game records, for when there is no server to ask:
+ * best win per player (or win count) for a size within a time window,
+ * split into pages, plus the requesting player's own rank.
+ * Rows use the api.php shape:
+ *   { rank, username, completion_time, moves, score, wins, date_played }
+ * Works as a browser global (window.LeaderboardService) or a CommonJS module in Node
+ *
+ * Windows are in local time: 'day' is today, 'week' since Monday,
+ * 'month' since the 1st; 'all' has no start.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LeaderboardService = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    const WINDOWS = { all: 'All time', month: 'This month', week: 'This week', day: 'Today' };
+    const PAGE_SIZE = 10;
+
+    // Best first; ties on the first field are broken by the second
+    const ORDER = {
+        time: (a, b) => a.completion_time - b.completion_time || a.moves - b.moves,
+        moves: (a, b) => a.moves - b.moves || a.completion_time - b.completion_time,
+        score: (a, b) => b.score - a.score || a.completion_time - b.completion_time,
+        wins: (a, b) => b.wins - a.wins || a.completion_time - b.completion_time
+    };
+
+    /**
+     * Start of a window, or null for 'all' (or anything unknown)
+     */
+    function getWindowStart(window, now = new Date()) {
+        if (!(window in WINDOWS) || window === 'all') return null;
+        const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        if (window === 'week') start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        if (window === 'month') start.setDate(1);
+        return start;
+    }
+
+    function toRow(game) {
+        return {
+            username: game.player,
+            completion_time: game.timeInSeconds,
+            moves: game.moves,
+            score: typeof game.score === 'number' ? game.score : null,
+            date_played: game.date
+        };
+    }
+
+    /**
+     * Every player's row for a size, best first: { size, type, window, now }.
+     * A game stored twice (same id) counts once; only scored games rank by score.
+     */
+    function rankPlayers(games, options) {
+        const type = options.type in ORDER ? options.type : 'time';
+        const order = ORDER[type];
+        const since = getWindowStart(options.window, options.now);
+        const seen = new Set();
+        const players = {};
+
+        games.forEach(game => {
+            if (!game.completed || String(game.puzzleSize) !== String(options.size)) return;
+            if (since && Date.parse(game.date) < since.getTime()) return;
+            if (type === 'score' && typeof game.score !== 'number') return;
+            if (game.id) {
+                if (seen.has(game.id)) return;
+                seen.add(game.id);
+            }
+
+            const entry = players[game.player];
+            const row = toRow(game);
+            row.wins = (entry ? entry.wins : 0) + 1;
+            // 'wins' keeps the player's fastest win alongside the count
+            players[game.player] = !entry || ORDER[type === 'wins' ? 'time' : type](row, entry) < 0 ?
+                row : Object.assign(entry, { wins: row.wins });
+        });
+
+        const rows = Object.values(players).sort(order);
+        rows.forEach((row, index) => {
+            // Tied rows share a rank
+            row.rank = index > 0 && order(rows[index - 1], row) === 0 ? rows[index - 1].rank : index + 1;
+        });
+        return rows;
+    }
+
+    /**
+     * One page of ranked rows: { page, pageSize, player } in, and out
+     * { rows, total, page, pages, pageSize, own }. own is the player's
+     * { rank, row } wherever they are, or null if they have no row.
+     * Rows without a rank are ranked by position.
+     */
+    function paginate(rows, options = {}) {
+        const pageSize = options.pageSize > 0 ? options.pageSize : PAGE_SIZE;
+        const pages = Math.max(1, Math.ceil(rows.length / pageSize));
+        const page = Math.min(Math.max(1, Math.floor(options.page) || 1), pages);
+        const ranked = rows.map((row, index) => row.rank ? row : Object.assign({}, row, { rank: index + 1 }));
+        const own = options.player ? ranked.find(row => row.username === options.player) : null;
+
+        return {
+            rows: ranked.slice((page - 1) * pageSize, page * pageSize),
+            total: ranked.length,
+            page: page,
+            pages: pages,
+            pageSize: pageSize,
+            own: own ? { rank: own.rank, row: own } : null
+        };
+    }
+
+    /**
+     * A page of the leaderboard for game records:
+     * { size, type, window, page, pageSize, player, now }
+     */
+    function rank(games, options) {
+        return paginate(rankPlayers(games, options), options);
+    }
+
+    return {
+        WINDOWS: WINDOWS,
+        PAGE_SIZE: PAGE_SIZE,
+        getWindowStart: getWindowStart,
+        rankPlayers: rankPlayers,
+        paginate: paginate,
+        rank: rank
+    };
+});
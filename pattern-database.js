@@ -0,0 +1,350 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Pattern Databases
+ * Disjoint additive pattern databases (e.g. 6-6-3 for 4x4) used as the IDA* heuristic
+ * Tables are built once in a worker (pdb-worker.js) and cached in IndexedDB
+ * Works as a browser/worker global (PatternDatabase) or a CommonJS module in Node
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PatternDatabase = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    const DB_NAME = 'fifteenPuzzlePatternDatabases';
+    const STORE_NAME = 'tables';
+    const UNSEEN = 255;
+
+    /**
+     * Tile groups per board size. Each group gets its own table; only moves
+     * of a group's own tiles are counted, so the table values can be added.
+     */
+    const PRESETS = {
+        4: {
+            name: '6-6-3',
+            groups: [
+                [1, 5, 6, 9, 10, 13],
+                [7, 8, 11, 12, 14, 15],
+                [2, 3, 4]
+            ]
+        },
+        5: {
+            name: '5-5-5-5-4',
+            groups: [
+                [1, 2, 3, 6, 7],
+                [4, 5, 8, 9, 10],
+                [11, 12, 16, 17, 21],
+                [13, 14, 15, 18, 19],
+                [20, 22, 23, 24]
+            ]
+        }
+    };
+
+    /**
+     * Bit masks describing the grid, used for fast blank flood fills
+     */
+    function createGrid(size) {
+        const cells = size * size;
+        const full = (2 ** cells) - 1;
+        let firstColumn = 0;
+        let lastColumn = 0;
+        for (let row = 0; row < size; row++) {
+            firstColumn |= 1 << (row * size);
+            lastColumn |= 1 << (row * size + size - 1);
+        }
+
+        const neighborMasks = [];
+        for (let cell = 0; cell < cells; cell++) {
+            const row = Math.floor(cell / size);
+            const col = cell % size;
+            let mask = 0;
+            if (row > 0) mask |= 1 << (cell - size);
+            if (row < size - 1) mask |= 1 << (cell + size);
+            if (col > 0) mask |= 1 << (cell - 1);
+            if (col < size - 1) mask |= 1 << (cell + 1);
+            neighborMasks.push(mask >>> 0);
+        }
+
+        // All cells the blank can reach from "start" without crossing occupied cells
+        function floodFill(start, occupied) {
+            const free = (full & ~occupied) >>> 0;
+            let region = (1 << start) >>> 0;
+            while (true) {
+                const grown = (region |
+                    ((region << 1) & ~firstColumn) |
+                    ((region >>> 1) & ~lastColumn) |
+                    (region << size) |
+                    (region >>> size)) & free;
+                if ((grown >>> 0) === region) return region;
+                region = grown >>> 0;
+            }
+        }
+
+        return { cells: cells, neighborMasks: neighborMasks, floodFill: floodFill };
+    }
+
+    /**
+     * Build the table for one tile group with a breadth-first search
+     * backwards from the goal. A state is the group's tile positions plus
+     * the region the blank can roam; blank moves through other tiles are free.
+     *
+     * Table index: sum(position[i] * cells^i) over the group's tiles.
+     * Returns a Uint8Array of move counts.
+     */
+    function buildTable(size, group, onProgress) {
+        const grid = createGrid(size);
+        const cells = grid.cells;
+        const k = group.length;
+
+        const radix = [];
+        for (let i = 0; i < k; i++) radix.push(cells ** i);
+        const tableSize = cells ** k;
+
+        // Number of distinct placements of the group's tiles, for progress reporting
+        let placements = 1;
+        for (let i = 0; i < k; i++) placements *= cells - i;
+
+        const table = new Uint8Array(tableSize).fill(UNSEEN);
+        // One bit per (table index, blank cell) pair already queued
+        const seen = new Uint8Array(Math.ceil(tableSize * cells / 8));
+
+        function markRegion(key, region) {
+            const base = key * cells;
+            for (let cell = 0; cell < cells; cell++) {
+                if (region & (1 << cell)) {
+                    const bit = base + cell;
+                    seen[bit >>> 3] |= 1 << (bit & 7);
+                }
+            }
+        }
+
+        function isSeen(key, cell) {
+            const bit = key * cells + cell;
+            return (seen[bit >>> 3] & (1 << (bit & 7))) !== 0;
+        }
+
+        const positions = new Array(k);
+        let startKey = 0;
+        let startOccupied = 0;
+        for (let i = 0; i < k; i++) {
+            startKey += (group[i] - 1) * radix[i];
+            startOccupied |= 1 << (group[i] - 1);
+        }
+
+        table[startKey] = 0;
+        markRegion(startKey, grid.floodFill(cells - 1, startOccupied >>> 0));
+
+        let frontier = [startKey, cells - 1];
+        let depth = 0;
+        let filled = 1;
+
+        while (frontier.length > 0) {
+            const next = [];
+            for (let f = 0; f < frontier.length; f += 2) {
+                const key = frontier[f];
+                const blank = frontier[f + 1];
+
+                let occupied = 0;
+                let rest = key;
+                for (let i = 0; i < k; i++) {
+                    positions[i] = rest % cells;
+                    rest = Math.floor(rest / cells);
+                    occupied |= 1 << positions[i];
+                }
+                occupied >>>= 0;
+
+                const region = grid.floodFill(blank, occupied);
+
+                // Slide any group tile that touches the blank region into it
+                for (let i = 0; i < k; i++) {
+                    const from = positions[i];
+                    let targets = grid.neighborMasks[from] & region;
+                    while (targets) {
+                        const bit = targets & -targets;
+                        targets ^= bit;
+                        const to = 31 - Math.clz32(bit);
+
+                        const nextKey = key + (to - from) * radix[i];
+                        if (isSeen(nextKey, from)) continue;
+
+                        const nextOccupied = ((occupied & ~(1 << from)) | (1 << to)) >>> 0;
+                        markRegion(nextKey, grid.floodFill(from, nextOccupied));
+                        if (table[nextKey] === UNSEEN) {
+                            table[nextKey] = depth + 1;
+                            filled++;
+                        }
+                        next.push(nextKey, from);
+                    }
+                }
+            }
+
+            frontier = next;
+            depth++;
+            if (onProgress) {
+                onProgress({ depth: depth, filled: filled, total: placements, frontier: frontier.length / 2 });
+            }
+        }
+
+        return table;
+    }
+
+    /**
+     * Build every table for a size's preset
+     * onProgress receives { group, groups, depth, filled, total }
+     */
+    function build(size, onProgress) {
+        const preset = PRESETS[size];
+        if (!preset) throw new Error(`No pattern database preset for ${size}x${size}`);
+
+        const tables = preset.groups.map((group, index) => buildTable(size, group, progress => {
+            if (onProgress) {
+                onProgress({ group: index + 1, groups: preset.groups.length, ...progress });
+            }
+        }));
+
+        return {
+            size: size,
+            name: preset.name,
+            groups: preset.groups,
+            tables: tables,
+            builtAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Turn a built (or cached) database into a PuzzleSolver heuristic
+     */
+    function createHeuristic(database) {
+        const size = database.size;
+        const cells = size * size;
+        const groupOf = new Int8Array(cells).fill(-1);
+        const radixOf = new Float64Array(cells);
+
+        database.groups.forEach((group, g) => {
+            group.forEach((value, i) => {
+                groupOf[value] = g;
+                radixOf[value] = cells ** i;
+            });
+        });
+
+        function groupKey(board, g) {
+            let key = 0;
+            for (let index = 0; index < cells; index++) {
+                const value = board[index];
+                if (value !== 0 && groupOf[value] === g) {
+                    key += index * radixOf[value];
+                }
+            }
+            return key;
+        }
+
+        return {
+            name: `pattern-database-${database.name}`,
+            estimate(board) {
+                let total = 0;
+                for (let g = 0; g < database.tables.length; g++) {
+                    total += database.tables[g][groupKey(board, g)];
+                }
+                return total;
+            },
+            // Only the moved tile's group changes; swap its old entry for the new one
+            update(board, h, value, from, to) {
+                const g = groupOf[value];
+                const table = database.tables[g];
+                const key = groupKey(board, g);
+                return h - table[key - (to - from) * radixOf[value]] + table[key];
+            }
+        };
+    }
+
+    /**
+     * Open the IndexedDB cache
+     */
+    function openCache() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = function() {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'size' });
+            };
+            request.onsuccess = function() { resolve(request.result); };
+            request.onerror = function() { reject(request.error); };
+        });
+    }
+
+    function runTransaction(mode, action) {
+        return openCache().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = action(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = function() {
+                db.close();
+                resolve(request ? request.result : undefined);
+            };
+            transaction.onerror = function() {
+                db.close();
+                reject(transaction.error);
+            };
+        }));
+    }
+
+    /**
+     * Load a cached database for a size (resolves null when not built yet)
+     */
+    function load(size) {
+        return runTransaction('readonly', store => store.get(size)).then(record => {
+            // Ignore tables built from an older preset
+            if (!record || !PRESETS[size] || record.name !== PRESETS[size].name) return null;
+            return record;
+        });
+    }
+
+    /**
+     * Store a built database in the cache
+     */
+    function save(database) {
+        return runTransaction('readwrite', store => store.put(database));
+    }
+
+    /**
+     * Remove a size's cached database
+     */
+    function remove(size) {
+        return runTransaction('readwrite', store => store.delete(size));
+    }
+
+    /**
+     * Summaries of every preset and whether it is cached (no table data)
+     */
+    function getCacheStatus() {
+        const sizes = Object.keys(PRESETS).map(Number);
+        return Promise.all(sizes.map(size => load(size).catch(() => null))).then(records =>
+            sizes.map((size, index) => {
+                const record = records[index];
+                return {
+                    size: size,
+                    name: PRESETS[size].name,
+                    cached: !!record,
+                    builtAt: record ? record.builtAt : null,
+                    bytes: record ? record.tables.reduce((sum, table) => sum + table.length, 0) : 0
+                };
+            })
+        );
+    }
+
+    return {
+        PRESETS: PRESETS,
+        buildTable: buildTable,
+        build: build,
+        createHeuristic: createHeuristic,
+        load: load,
+        save: save,
+        remove: remove,
+        getCacheStatus: getCacheStatus
+    };
+});
@@ -0,0 +1,38 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Pattern Database Worker
+ * Builds the pattern databases off the main thread and stores them in IndexedDB
+ *
+ * Messages in:  { type: 'build', size, force }
+ * Messages out: { type: 'progress', size, group, groups, depth, filled, total }
+ *               { type: 'done', size, alreadyCached }
+ *               { type: 'error', size, message }
+ */
+
+"use strict";
+
+importScripts('pattern-database.js');
+
+self.addEventListener('message', function(e) {
+    const message = e.data;
+    if (!message || message.type !== 'build') return;
+
+    const size = message.size;
+    const cached = message.force ? Promise.resolve(null) : PatternDatabase.load(size).catch(() => null);
+
+    cached.then(record => {
+        if (record) {
+            self.postMessage({ type: 'done', size: size, alreadyCached: true });
+            return;
+        }
+
+        const database = PatternDatabase.build(size, function(progress) {
+            self.postMessage({ type: 'progress', size: size, ...progress });
+        });
+
+        return PatternDatabase.save(database).then(() => {
+            self.postMessage({ type: 'done', size: size, alreadyCached: false });
+        });
+    }).catch(error => {
+        self.postMessage({ type: 'error', size: size, message: error.message });
+    });
+});
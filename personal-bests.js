@@ -0,0 +1,165 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Personal Bests
+ * Each player's best time and fewest moves per board size and mode, with
+ * the date each was set and a history of every improvement. Players who
+ * aren't signed in share one guest record, which moves into an account
+ * when the guest signs in or registers.
+ * Works as a browser global (window.PersonalBests) or a CommonJS module in Node
+ *
+ * Stored in localStorage under fifteenPuzzlePersonalBests_<username>
+ * (fifteenPuzzleGuestPersonalBests for guests) as
+ *   { bests: { '<size>|<mode>': { time: { value, setAt }, moves: { value, setAt } } },
+ *     history: [{ size, mode, stat, value, previous, setAt }] }
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PersonalBests = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    const STORAGE_PREFIX = 'fifteenPuzzlePersonalBests_';
+    const GUEST_KEY = 'fifteenPuzzleGuestPersonalBests';
+
+    // Games only compete with games of the same mode
+    const MODES = {
+        easy: 'Easy',
+        medium: 'Medium',
+        hard: 'Hard',
+        expert: 'Expert',
+        daily: 'Daily Challenge',
+        custom: 'Shared puzzle'
+    };
+
+    const STATS = ['time', 'moves'];   // Lower is better for both
+
+    function getStorage(storage) {
+        return storage || localStorage;
+    }
+
+    function storageKey(player) {
+        return player ? STORAGE_PREFIX + player : GUEST_KEY;
+    }
+
+    function recordKey(size, mode) {
+        return `${size}|${mode}`;
+    }
+
+    /**
+     * A player's record (null player = guest)
+     */
+    function load(player, storage) {
+        try {
+            const data = JSON.parse(getStorage(storage).getItem(storageKey(player)) || 'null');
+            if (data && data.bests && Array.isArray(data.history)) return data;
+        } catch (error) {
+            console.error('Error reading personal bests:', error);
+        }
+        return { bests: {}, history: [] };
+    }
+
+    function save(player, data, storage) {
+        getStorage(storage).setItem(storageKey(player), JSON.stringify(data));
+    }
+
+    /**
+     * Fold one result into a record; returns the improvements
+     * [{ stat, value, previous }] (previous is null for a first result)
+     */
+    function apply(data, result) {
+        const key = recordKey(result.size, result.mode);
+        const bests = data.bests[key] || (data.bests[key] = {});
+        const improvements = [];
+        STATS.forEach(stat => {
+            const value = result[stat];
+            if (typeof value !== 'number') return;
+            const current = bests[stat];
+            if (current && current.value <= value) return;
+            bests[stat] = { value: value, setAt: result.date };
+            const previous = current ? current.value : null;
+            data.history.push({ size: result.size, mode: result.mode, stat: stat, value: value, previous: previous, setAt: result.date });
+            improvements.push({ stat: stat, value: value, previous: previous });
+        });
+        return improvements;
+    }
+
+    /**
+     * Record a won game { size, mode, time, moves, date } for a player.
+     * Returns the personal bests it set (empty if none).
+     */
+    function record(player, result, storage) {
+        const data = load(player, storage);
+        const improvements = apply(data, Object.assign({ date: new Date().toISOString() }, result));
+        if (improvements.length) save(player, data, storage);
+        return improvements;
+    }
+
+    /**
+     * A player's bests for one size and mode: { time, moves }, each
+     * { value, setAt } or undefined
+     */
+    function get(player, size, mode, storage) {
+        return load(player, storage).bests[recordKey(size, mode)] || {};
+    }
+
+    /**
+     * Every size and mode the player has a best for:
+     * [{ size, mode, time, moves }], largest boards first
+     */
+    function list(player, storage) {
+        const bests = load(player, storage).bests;
+        return Object.keys(bests).map(key => {
+            const [size, mode] = key.split('|');
+            return { size: size, mode: mode, time: bests[key].time, moves: bests[key].moves };
+        }).sort((a, b) => cells(b.size) - cells(a.size) || a.size.localeCompare(b.size) || a.mode.localeCompare(b.mode));
+    }
+
+    function cells(size) {
+        const dims = size.split('x').map(Number);
+        return dims[0] * (dims.length === 2 ? dims[1] : dims[0]);
+    }
+
+    /**
+     * Every personal best a player has set, newest first
+     */
+    function getHistory(player, storage) {
+        return load(player, storage).history.slice().reverse();
+    }
+
+    /**
+     * Move the guest's bests into a player's record, keeping the better of
+     * each and the guest's history of improvements. Returns how many
+     * personal bests the player gained.
+     */
+    function migrateGuest(player, storage) {
+        if (!player) return 0;
+        const guest = load(null, storage);
+        if (!guest.history.length) return 0;
+
+        const data = load(player, storage);
+        let gained = 0;
+        guest.history
+            .slice()
+            .sort((a, b) => Date.parse(a.setAt) - Date.parse(b.setAt))
+            .forEach(entry => {
+                gained += apply(data, { size: entry.size, mode: entry.mode, [entry.stat]: entry.value, date: entry.setAt }).length;
+            });
+        data.history.sort((a, b) => Date.parse(a.setAt) - Date.parse(b.setAt));
+        save(player, data, storage);
+        getStorage(storage).removeItem(GUEST_KEY);
+        return gained;
+    }
+
+    return {
+        MODES: MODES,
+        STATS: STATS,
+        record: record,
+        get: get,
+        list: list,
+        getHistory: getHistory,
+        migrateGuest: migrateGuest
+    };
+});
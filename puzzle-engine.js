@@ -0,0 +1,443 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Engine
+ * DOM-free board model and game rules shared by the game page, bots and tests
+ * Works as a browser global (window.PuzzleEngine) or a CommonJS module in Node
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PuzzleEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    const DIRECTIONS = [
+        { row: -1, col: 0, name: 'up' },
+        { row: 1, col: 0, name: 'down' },
+        { row: 0, col: -1, name: 'left' },
+        { row: 0, col: 1, name: 'right' }
+    ];
+
+    /**
+     * Rows and columns of a board size. A size is a number for square
+     * boards (4 is 4x4) or a 'ROWSxCOLS' string such as '3x5'.
+     */
+    function parseSize(size) {
+        const match = /^(\d+)x(\d+)$/.exec(String(size));
+        if (match) return { rows: parseInt(match[1]), cols: parseInt(match[2]) };
+        const n = parseInt(size);
+        return { rows: n, cols: n };
+    }
+
+    /**
+     * The size value for a board: a plain number when square, 'ROWSxCOLS' otherwise
+     */
+    function formatSize(rows, cols = rows) {
+        return rows === cols ? rows : `${rows}x${cols}`;
+    }
+
+    /**
+     * Display label for a size, e.g. '4x4' or '3x5'
+     */
+    function getSizeLabel(size) {
+        const dims = parseSize(size);
+        return `${dims.rows}x${dims.cols}`;
+    }
+
+    /**
+     * Build the solved board for a size: 1..n-1 in order, blank (0) last
+     */
+    function createGoalBoard(size) {
+        const dims = parseSize(size);
+        const board = [];
+        for (let i = 1; i < dims.rows * dims.cols; i++) {
+            board.push(i);
+        }
+        board.push(0);
+        return board;
+    }
+
+    /**
+     * Number of tile pairs (ignoring the blank) that are out of order
+     */
+    function countInversions(board) {
+        let inversions = 0;
+        for (let i = 0; i < board.length; i++) {
+            if (board[i] === 0) continue;
+            for (let j = i + 1; j < board.length; j++) {
+                if (board[j] !== 0 && board[i] > board[j]) {
+                    inversions++;
+                }
+            }
+        }
+        return inversions;
+    }
+
+    /**
+     * Check whether a flat board can reach the goal state.
+     * Odd widths need an even inversion count; even widths also
+     * depend on which row (counted from the bottom) holds the blank.
+     */
+    function isSolvable(board, size) {
+        const dims = parseSize(size);
+        const inversions = countInversions(board);
+
+        if (dims.cols % 2 === 1) {
+            return inversions % 2 === 0;
+        }
+
+        const blankRowFromBottom = dims.rows - Math.floor(board.indexOf(0) / dims.cols);
+        return (inversions + blankRowFromBottom) % 2 === 1;
+    }
+
+    /**
+     * A uniformly random solvable board. Shuffles every cell, then swaps two
+     * tiles if the parity came out wrong; a swap always flips solvability and
+     * pairs the boards up one to one, so every solvable board is equally likely.
+     */
+    function createRandomBoard(size, random = Math.random) {
+        const board = createGoalBoard(size);
+        for (let i = board.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [board[i], board[j]] = [board[j], board[i]];
+        }
+
+        if (!isSolvable(board, size)) {
+            // The first two non-blank cells
+            const a = board[0] === 0 ? 1 : 0;
+            const b = board[a + 1] === 0 ? a + 2 : a + 1;
+            [board[a], board[b]] = [board[b], board[a]];
+        }
+        return board;
+    }
+
+    /**
+     * Deterministic random number generator (mulberry32) seeded from any
+     * string or number. Returns a function that behaves like Math.random,
+     * so the same seed always gives the same scramble.
+     */
+    function createSeededRandom(seed) {
+        // FNV-1a hash of the seed text gives the 32-bit starting state
+        let state = 2166136261;
+        const text = String(seed);
+        for (let i = 0; i < text.length; i++) {
+            state ^= text.charCodeAt(i);
+            state = Math.imul(state, 16777619);
+        }
+
+        return function() {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Make a short random seed string for a new scramble
+     */
+    function createSeed() {
+        return Math.floor(Math.random() * 4294967296).toString(36);
+    }
+
+    /**
+     * Puzzle engine - owns the numeric board and applies the sliding rules
+     * (size is a number for square boards or 'ROWSxCOLS', see parseSize)
+     */
+    class PuzzleEngine {
+        constructor(size = 4) {
+            const dims = parseSize(size);
+            this.rows = dims.rows;
+            this.cols = dims.cols;
+            this.size = formatSize(dims.rows, dims.cols);
+            this.board = createGoalBoard(this.size);
+            this.blankIndex = this.board.length - 1;
+            this.listeners = {};
+            this.history = []; // Blank index before each slide, for undo
+            this.future = [];  // Blank index before each undo, for redo
+        }
+
+        /**
+         * Subscribe to engine events: 'move', 'solved', 'change'
+         * 'move' data: { tiles, blank, type } where type is 'move', 'undo' or 'redo'
+         */
+        on(event, callback) {
+            if (!this.listeners[event]) {
+                this.listeners[event] = [];
+            }
+            this.listeners[event].push(callback);
+            return this;
+        }
+
+        /**
+         * Remove a previously registered event callback
+         */
+        off(event, callback) {
+            if (this.listeners[event]) {
+                this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+            }
+            return this;
+        }
+
+        emit(event, data) {
+            (this.listeners[event] || []).forEach(callback => callback(data));
+        }
+
+        /**
+         * Get the tile number at a position (0 for the blank)
+         */
+        getTile(row, col) {
+            return this.board[row * this.cols + col];
+        }
+
+        /**
+         * Get the row/column of a tile number (0 for the blank)
+         */
+        positionOf(value) {
+            const index = value === 0 ? this.blankIndex : this.board.indexOf(value);
+            if (index === -1) return null;
+            return { row: Math.floor(index / this.cols), col: index % this.cols };
+        }
+
+        /**
+         * Get the blank position
+         */
+        getBlank() {
+            return this.positionOf(0);
+        }
+
+        isInside(row, col) {
+            return row >= 0 && row < this.rows && col >= 0 && col < this.cols;
+        }
+
+        /**
+         * Check if the tile at a position is directly next to the blank
+         */
+        isAdjacent(row, col) {
+            const blank = this.getBlank();
+            const rowDiff = Math.abs(row - blank.row);
+            const colDiff = Math.abs(col - blank.col);
+            return (rowDiff === 1 && colDiff === 0) || (rowDiff === 0 && colDiff === 1);
+        }
+
+        /**
+         * Check if a position shares a row or column with the blank
+         */
+        canSlide(row, col) {
+            if (!this.isInside(row, col)) return false;
+            const blank = this.getBlank();
+            if (row === blank.row && col === blank.col) return false;
+            return row === blank.row || col === blank.col;
+        }
+
+        /**
+         * Describe the tiles that would move when sliding from a position
+         * toward the blank, without changing the board
+         */
+        getSlide(row, col) {
+            const moves = [];
+            if (!this.canSlide(row, col)) return moves;
+
+            const blank = this.getBlank();
+            const stepRow = Math.sign(blank.row - row);
+            const stepCol = Math.sign(blank.col - col);
+
+            // Walk from the blank back toward the chosen tile so the list
+            // is ordered in the sequence the tiles actually shift
+            let r = blank.row - stepRow;
+            let c = blank.col - stepCol;
+            while (true) {
+                moves.push({
+                    value: this.getTile(r, c),
+                    fromRow: r,
+                    fromCol: c,
+                    toRow: r + stepRow,
+                    toCol: c + stepCol
+                });
+                if (r === row && c === col) break;
+                r -= stepRow;
+                c -= stepCol;
+            }
+
+            return moves;
+        }
+
+        /**
+         * Slide the tile at a position (and any tiles between it and the blank)
+         * Returns the list of tile moves applied, empty if the move was illegal
+         */
+        slide(row, col) {
+            if (!this.canSlide(row, col)) return [];
+            this.history.push(this.blankIndex);
+            this.future = [];
+            return this.applySlide(row, col, 'move');
+        }
+
+        /**
+         * Take back the last slide as a single step (a multi-tile slide
+         * is undone as a whole). Returns the tile moves, empty if none.
+         */
+        undo() {
+            if (this.history.length === 0) return [];
+            const from = this.blankIndex;
+            const target = this.history.pop();
+            this.future.push(from);
+            return this.applySlide(Math.floor(target / this.cols), target % this.cols, 'undo');
+        }
+
+        /**
+         * Replay the last undone slide
+         */
+        redo() {
+            if (this.future.length === 0) return [];
+            const from = this.blankIndex;
+            const target = this.future.pop();
+            this.history.push(from);
+            return this.applySlide(Math.floor(target / this.cols), target % this.cols, 'redo');
+        }
+
+        canUndo() {
+            return this.history.length > 0;
+        }
+
+        canRedo() {
+            return this.future.length > 0;
+        }
+
+        /**
+         * Forget the undo/redo history (the board itself is unchanged)
+         */
+        clearHistory() {
+            this.history = [];
+            this.future = [];
+        }
+
+        /**
+         * Move the tiles and emit 'move' (type is 'move', 'undo' or 'redo')
+         */
+        applySlide(row, col, type) {
+            const moves = this.getSlide(row, col);
+            if (moves.length === 0) return moves;
+
+            moves.forEach(move => {
+                this.board[move.toRow * this.cols + move.toCol] = move.value;
+            });
+            this.blankIndex = row * this.cols + col;
+            this.board[this.blankIndex] = 0;
+
+            this.emit('move', { tiles: moves, blank: this.getBlank(), type: type });
+            if (this.isSolved()) {
+                this.emit('solved', { board: this.board.slice() });
+            }
+
+            return moves;
+        }
+
+        /**
+         * Move the tile on the given side of the blank into it
+         * ('up' moves the tile above the blank down, and so on)
+         */
+        slideFrom(direction) {
+            const dir = DIRECTIONS.find(d => d.name === direction);
+            if (!dir) return [];
+            const blank = this.getBlank();
+            return this.slide(blank.row + dir.row, blank.col + dir.col);
+        }
+
+        /**
+         * Positions of all tiles that are directly next to the blank
+         */
+        getNeighbors() {
+            const blank = this.getBlank();
+            return DIRECTIONS
+                .map(dir => ({ row: blank.row + dir.row, col: blank.col + dir.col }))
+                .filter(pos => this.isInside(pos.row, pos.col));
+        }
+
+        /**
+         * Check if the board is in the solved order
+         */
+        isSolved() {
+            const last = this.board.length - 1;
+            if (this.board[last] !== 0) return false;
+            for (let i = 0; i < last; i++) {
+                if (this.board[i] !== i + 1) return false;
+            }
+            return true;
+        }
+
+        /**
+         * Put the board back in the solved order
+         */
+        reset() {
+            this.board = createGoalBoard(this.size);
+            this.blankIndex = this.board.length - 1;
+            this.clearHistory();
+            this.emit('change', { reason: 'reset' });
+        }
+
+        /**
+         * Scramble with a random walk of the blank. Every walk is reversible,
+         * so the result is always solvable. Pass createSeededRandom(seed)
+         * as random for a repeatable scramble.
+         */
+        scramble(steps, random = Math.random) {
+            for (let i = 0; i < steps; i++) {
+                const neighbors = this.getNeighbors();
+                const pick = neighbors[Math.floor(random() * neighbors.length)];
+                const index = pick.row * this.cols + pick.col;
+                this.board[this.blankIndex] = this.board[index];
+                this.board[index] = 0;
+                this.blankIndex = index;
+            }
+            this.clearHistory();
+            this.emit('change', { reason: 'scramble' });
+        }
+
+        /**
+         * Replace the board with a flat array of tile numbers
+         */
+        load(board) {
+            if (board.length !== this.rows * this.cols) {
+                throw new Error(`Board must have ${this.rows * this.cols} cells`);
+            }
+            const sorted = board.slice().sort((a, b) => a - b);
+            if (sorted.some((value, index) => value !== index)) {
+                throw new Error('Board must contain each tile number exactly once');
+            }
+            if (!isSolvable(board, this.size)) {
+                throw new Error('Board is not solvable');
+            }
+            this.board = board.slice();
+            this.blankIndex = this.board.indexOf(0);
+            this.clearHistory();
+            this.emit('change', { reason: 'load' });
+        }
+
+        /**
+         * Get a copy of the board as a 2D grid plus blank position
+         */
+        getState() {
+            const tiles = [];
+            for (let row = 0; row < this.rows; row++) {
+                tiles.push(this.board.slice(row * this.cols, (row + 1) * this.cols));
+            }
+            return { tiles: tiles, empty: this.getBlank() };
+        }
+    }
+
+    PuzzleEngine.DIRECTIONS = DIRECTIONS;
+    PuzzleEngine.createGoalBoard = createGoalBoard;
+    PuzzleEngine.isSolvable = isSolvable;
+    PuzzleEngine.countInversions = countInversions;
+    PuzzleEngine.createRandomBoard = createRandomBoard;
+    PuzzleEngine.createSeededRandom = createSeededRandom;
+    PuzzleEngine.createSeed = createSeed;
+    PuzzleEngine.parseSize = parseSize;
+    PuzzleEngine.formatSize = formatSize;
+    PuzzleEngine.getSizeLabel = getSizeLabel;
+
+    return PuzzleEngine;
+});
@@ -0,0 +1,140 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Tile Renderer
+ * Tile sizing, positioning and background slicing shared by the game page
+ * and the dashboard replay viewer
+ * Works as a browser global (window.PuzzleRenderer) or a CommonJS module in Node
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PuzzleRenderer = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    /**
+     * Rows and columns of a size (a number for square boards or 'ROWSxCOLS')
+     */
+    function parseSize(size) {
+        const match = /^(\d+)x(\d+)$/.exec(String(size));
+        if (match) return { rows: parseInt(match[1]), cols: parseInt(match[2]) };
+        const n = parseInt(size);
+        return { rows: n, cols: n };
+    }
+
+    /**
+     * Calculate tile size - slightly smaller to avoid cutoff
+     * (the longer side of a rectangular board spans the container)
+     */
+    function getTileSize(containerSize, size) {
+        const dims = parseSize(size);
+        // Make tiles 98% of the calculated size to just avoid cutoff
+        return Math.floor((containerSize * 0.98) / Math.max(dims.rows, dims.cols));
+    }
+
+    /**
+     * Pixel width and height of the tiles of a whole board
+     */
+    function getBoardSize(containerSize, size) {
+        const dims = parseSize(size);
+        const tileSize = getTileSize(containerSize, size);
+        return { width: dims.cols * tileSize, height: dims.rows * tileSize };
+    }
+
+    /**
+     * Get tile position in pixels - no gaps, just smaller tiles
+     */
+    function getTilePosition(row, col, tileSize) {
+        return {
+            left: col * tileSize,
+            top: row * tileSize
+        };
+    }
+
+    /**
+     * Create an unpositioned tile element for a number
+     */
+    function createTileElement(number) {
+        const tile = document.createElement('div');
+        tile.className = 'puzzle-tile';
+        tile.textContent = number;
+        tile.dataset.number = number;
+        return tile;
+    }
+
+    /**
+     * Size and position a tile at a board cell.
+     * options: { size, containerSize, background }
+     */
+    function renderTile(tile, number, cell, options) {
+        const tileSize = getTileSize(options.containerSize, options.size);
+        const position = getTilePosition(cell.row, cell.col, tileSize);
+
+        tile.style.left = position.left + 'px';
+        tile.style.top = position.top + 'px';
+        tile.style.width = tileSize + 'px';
+        tile.style.height = tileSize + 'px';
+
+        // Set font size proportional to tile size
+        const fontSize = Math.max(14, Math.floor(tileSize * 0.3));
+        tile.style.fontSize = fontSize + 'px';
+        tile.style.lineHeight = tileSize + 'px';
+
+        setTileBackground(tile, number, options);
+    }
+
+    /**
+     * Set background image for tile
+     */
+    function setTileBackground(tile, number, options) {
+        // Calculate which part of the image this tile should show
+        // For a 4x4 puzzle, number 1 should show the top-left part, number 2 the second part in top row, etc.
+        const dims = parseSize(options.size);
+        const row = Math.floor((number - 1) / dims.cols);
+        const col = (number - 1) % dims.cols;
+
+        const tileSize = getTileSize(options.containerSize, options.size);
+        const containerSize = options.containerSize;
+        const background = options.background;
+
+        // Clear any existing background
+        tile.style.background = '';
+        tile.style.backgroundImage = '';
+        tile.style.backgroundSize = '';
+        tile.style.backgroundPosition = '';
+        tile.style.backgroundRepeat = '';
+
+        // If no custom background is set, use default tile styling
+        if (!background || background === 'Default' || background === '') {
+            tile.style.removeProperty('background');
+            tile.style.removeProperty('background-image');
+            return;
+        }
+
+        // Position the background to show the correct portion for this tile;
+        // a rectangular board shows the middle of the square image
+        const longest = Math.max(dims.rows, dims.cols);
+        const backgroundX = -(col * tileSize) - Math.floor((longest - dims.cols) * tileSize / 2);
+        const backgroundY = -(row * tileSize) - Math.floor((longest - dims.rows) * tileSize / 2);
+
+        // Set the background image with proper overlay for number visibility
+        tile.style.background = `
+            linear-gradient(rgba(0, 0, 0, 0.25), rgba(0, 0, 0, 0.25)), 
+            url('${background}')
+        `;
+        tile.style.backgroundSize = `auto, ${containerSize}px ${containerSize}px`;
+        tile.style.backgroundPosition = `center, ${backgroundX}px ${backgroundY}px`;
+        tile.style.backgroundRepeat = 'no-repeat, no-repeat';
+    }
+
+    return {
+        getTileSize: getTileSize,
+        getBoardSize: getBoardSize,
+        getTilePosition: getTilePosition,
+        createTileElement: createTileElement,
+        renderTile: renderTile,
+        setTileBackground: setTileBackground
+    };
+});
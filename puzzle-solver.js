@@ -0,0 +1,626 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Solver
+ * Iterative-deepening A* (IDA*) over the flat boards used by PuzzleEngine,
+ * with a row-by-row reduction solver for boards too big to search
+ * Heuristic: Manhattan distance plus linear conflict, updated incrementally per move
+ * Works as a browser global (window.PuzzleSolver) or a CommonJS module in Node
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PuzzleSolver = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    const FOUND = -1;
+    const DEFAULT_TIME_LIMIT = 10000; // milliseconds
+    const PROGRESS_INTERVAL = 0x3FFFF; // Nodes between time checks / progress reports
+    const SEARCH_CELL_LIMIT = 25;      // Boards bigger than 5x5 go straight to solveReduction
+
+    /**
+     * Rows and columns of a size (a number for square boards or 'ROWSxCOLS'),
+     * the same rule as PuzzleEngine.parseSize
+     */
+    function parseSize(size) {
+        const match = /^(\d+)x(\d+)$/.exec(String(size));
+        if (match) return { rows: parseInt(match[1]), cols: parseInt(match[2]) };
+        const n = parseInt(size);
+        return { rows: n, cols: n };
+    }
+
+    /**
+     * Precompute the neighbor cells of every index on a rows x cols board
+     */
+    function buildNeighbors(size) {
+        const { rows, cols } = parseSize(size);
+        const neighbors = [];
+        for (let index = 0; index < rows * cols; index++) {
+            const row = Math.floor(index / cols);
+            const col = index % cols;
+            const list = [];
+            if (row > 0) list.push(index - cols);
+            if (row < rows - 1) list.push(index + cols);
+            if (col > 0) list.push(index - 1);
+            if (col < cols - 1) list.push(index + 1);
+            neighbors.push(list);
+        }
+        return neighbors;
+    }
+
+    /**
+     * Length of the longest increasing subsequence (lines hold at most 10 tiles)
+     */
+    function longestIncreasing(sequence) {
+        const lengths = [];
+        let best = 0;
+        for (let i = 0; i < sequence.length; i++) {
+            lengths[i] = 1;
+            for (let j = 0; j < i; j++) {
+                if (sequence[j] < sequence[i] && lengths[j] + 1 > lengths[i]) {
+                    lengths[i] = lengths[j] + 1;
+                }
+            }
+            if (lengths[i] > best) best = lengths[i];
+        }
+        return best;
+    }
+
+    /**
+     * Manhattan distance heuristic
+     */
+    function createManhattanHeuristic(size) {
+        const cols = parseSize(size).cols;
+
+        function distance(value, index) {
+            const goal = value - 1;
+            return Math.abs(Math.floor(index / cols) - Math.floor(goal / cols)) +
+                Math.abs((index % cols) - (goal % cols));
+        }
+
+        return {
+            name: 'manhattan',
+            distance: distance,
+            estimate(board) {
+                let total = 0;
+                for (let index = 0; index < board.length; index++) {
+                    if (board[index] !== 0) total += distance(board[index], index);
+                }
+                return total;
+            },
+            // Board already has value at "to"; only that tile's distance changed
+            update(board, h, value, from, to) {
+                return h - distance(value, from) + distance(value, to);
+            }
+        };
+    }
+
+    /**
+     * Manhattan distance plus linear conflict. Two tiles in their goal row
+     * (or column) but in reversed order need at least two extra moves.
+     * The count per line is (tiles in goal line) - (longest in-order run),
+     * which stays admissible when three or more tiles conflict.
+     */
+    function createLinearConflictHeuristic(size) {
+        const { rows, cols } = parseSize(size);
+        const manhattan = createManhattanHeuristic(size);
+        const sequence = [];
+
+        function rowConflicts(board, row) {
+            sequence.length = 0;
+            for (let col = 0; col < cols; col++) {
+                const value = board[row * cols + col];
+                if (value !== 0 && Math.floor((value - 1) / cols) === row) {
+                    sequence.push((value - 1) % cols);
+                }
+            }
+            return sequence.length < 2 ? 0 : sequence.length - longestIncreasing(sequence);
+        }
+
+        function colConflicts(board, col) {
+            sequence.length = 0;
+            for (let row = 0; row < rows; row++) {
+                const value = board[row * cols + col];
+                if (value !== 0 && (value - 1) % cols === col) {
+                    sequence.push(Math.floor((value - 1) / cols));
+                }
+            }
+            return sequence.length < 2 ? 0 : sequence.length - longestIncreasing(sequence);
+        }
+
+        // Conflicts on the lines a move can change: a horizontal move
+        // changes two columns, a vertical move changes two rows
+        function affectedConflicts(board, from, to) {
+            if (Math.floor(from / cols) === Math.floor(to / cols)) {
+                return colConflicts(board, from % cols) + colConflicts(board, to % cols);
+            }
+            return rowConflicts(board, Math.floor(from / cols)) + rowConflicts(board, Math.floor(to / cols));
+        }
+
+        return {
+            name: 'linear-conflict',
+            estimate(board) {
+                let conflicts = 0;
+                for (let row = 0; row < rows; row++) conflicts += rowConflicts(board, row);
+                for (let col = 0; col < cols; col++) conflicts += colConflicts(board, col);
+                return manhattan.estimate(board) + 2 * conflicts;
+            },
+            update(board, h, value, from, to) {
+                const after = affectedConflicts(board, from, to);
+
+                // Briefly undo the move to measure the lines as they were
+                board[from] = value;
+                board[to] = 0;
+                const before = affectedConflicts(board, from, to);
+                board[to] = value;
+                board[from] = 0;
+
+                return manhattan.update(board, h, value, from, to) + 2 * (after - before);
+            }
+        };
+    }
+
+    /**
+     * Solve a flat board (0 = blank) with IDA*.
+     *
+     * Options:
+     *   timeLimit  - milliseconds before giving up (0 for no limit)
+     *   heuristic  - object with estimate(board) and update(board, h, value, from, to)
+     *   onProgress - called with { nodesExpanded, bound, elapsed } as the search runs
+     *   shouldStop - polled alongside the time check; return true to cancel
+     *
+     * Returns { solved, optimal, moves, nodesExpanded, bound, elapsed, timedOut, cancelled, unsolvable }
+     * where each move is the { row, col } of the tile to slide into the blank.
+     */
+    function solve(startBoard, size, options = {}) {
+        const timeLimit = options.timeLimit === undefined ? DEFAULT_TIME_LIMIT : options.timeLimit;
+        const heuristic = options.heuristic || createLinearConflictHeuristic(size);
+        const onProgress = options.onProgress || null;
+        const shouldStop = options.shouldStop || null;
+
+        const startTime = Date.now();
+        const result = {
+            solved: false,
+            optimal: true,
+            moves: [],
+            nodesExpanded: 0,
+            bound: 0,
+            elapsed: 0,
+            timedOut: false,
+            cancelled: false,
+            unsolvable: false
+        };
+
+        if (!isSolvable(startBoard, size)) {
+            result.unsolvable = true;
+            return result;
+        }
+
+        const board = Uint8Array.from(startBoard);
+        const neighbors = buildNeighbors(size);
+        const path = [];
+        let nodes = 0;
+        let bound = heuristic.estimate(board);
+        let aborted = false;
+
+        function checkLimits() {
+            const elapsed = Date.now() - startTime;
+            if (onProgress) {
+                onProgress({ nodesExpanded: nodes, bound: bound, elapsed: elapsed });
+            }
+            if (timeLimit > 0 && elapsed > timeLimit) {
+                result.timedOut = true;
+                aborted = true;
+            } else if (shouldStop && shouldStop()) {
+                result.cancelled = true;
+                aborted = true;
+            }
+        }
+
+        function search(blank, previousBlank, h, g) {
+            const f = g + h;
+            if (f > bound) return f;
+            if (h === 0) return FOUND;
+
+            nodes++;
+            if ((nodes & PROGRESS_INTERVAL) === 0) {
+                checkLimits();
+                if (aborted) return Infinity;
+            }
+
+            let minimum = Infinity;
+            const nextCells = neighbors[blank];
+            for (let i = 0; i < nextCells.length; i++) {
+                const next = nextCells[i];
+                // Last-move pruning: never slide the same tile straight back
+                if (next === previousBlank) continue;
+
+                const value = board[next];
+                board[blank] = value;
+                board[next] = 0;
+                path.push(next);
+
+                const t = search(next, blank, heuristic.update(board, h, value, next, blank), g + 1);
+                if (t === FOUND) return FOUND;
+
+                path.pop();
+                board[next] = value;
+                board[blank] = 0;
+
+                if (aborted) return Infinity;
+                if (t < minimum) minimum = t;
+            }
+            return minimum;
+        }
+
+        const startBlank = board.indexOf(0);
+        const startH = bound;
+
+        while (!aborted) {
+            if (onProgress) {
+                onProgress({ nodesExpanded: nodes, bound: bound, elapsed: Date.now() - startTime });
+            }
+
+            const t = search(startBlank, -1, startH, 0);
+            if (t === FOUND) {
+                result.solved = true;
+                result.moves = path.map(index => toCell(index, size));
+                break;
+            }
+            if (t === Infinity) break;
+            bound = t;
+        }
+
+        result.nodesExpanded = nodes;
+        result.bound = bound;
+        result.elapsed = Date.now() - startTime;
+        return result;
+    }
+
+    /**
+     * Fast, non-optimal fallback: weighted A* (f = g + weight * h) over a
+     * binary heap. Finds a solution quickly but usually longer than optimal.
+     *
+     * Options: weight (default 3), maxNodes (default 500000), heuristic
+     * Returns the same shape as solve(), with optimal set to false.
+     */
+    function solveFast(startBoard, size, options = {}) {
+        const weight = options.weight || 3;
+        const maxNodes = options.maxNodes || 500000;
+        const heuristic = options.heuristic || createLinearConflictHeuristic(size);
+
+        const startTime = Date.now();
+        const result = {
+            solved: false,
+            optimal: false,
+            moves: [],
+            nodesExpanded: 0,
+            bound: 0,
+            elapsed: 0,
+            timedOut: false,
+            cancelled: false,
+            unsolvable: false
+        };
+
+        if (!isSolvable(startBoard, size)) {
+            result.unsolvable = true;
+            return result;
+        }
+
+        const neighbors = buildNeighbors(size);
+        const start = Uint8Array.from(startBoard);
+        const startKey = start.join(',');
+        // key -> { parent key, index of the tile moved to get here, g }
+        const visited = new Map([[startKey, { parent: null, moved: -1, g: 0 }]]);
+        const heap = [];
+
+        function push(node) {
+            heap.push(node);
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (heap[parent].f <= heap[i].f) break;
+                [heap[parent], heap[i]] = [heap[i], heap[parent]];
+                i = parent;
+            }
+        }
+
+        function pop() {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                while (true) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < heap.length && heap[left].f < heap[smallest].f) smallest = left;
+                    if (right < heap.length && heap[right].f < heap[smallest].f) smallest = right;
+                    if (smallest === i) break;
+                    [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+
+        const startH = heuristic.estimate(start);
+        push({ board: start, key: startKey, blank: start.indexOf(0), g: 0, h: startH, f: weight * startH });
+
+        let goalKey = null;
+        while (heap.length > 0 && result.nodesExpanded < maxNodes) {
+            const node = pop();
+            if (node.h === 0) {
+                goalKey = node.key;
+                break;
+            }
+            if (visited.get(node.key).g < node.g) continue; // Stale heap entry
+            result.nodesExpanded++;
+
+            const nextCells = neighbors[node.blank];
+            for (let i = 0; i < nextCells.length; i++) {
+                const next = nextCells[i];
+                const board = node.board.slice();
+                const value = board[next];
+                board[node.blank] = value;
+                board[next] = 0;
+
+                const key = board.join(',');
+                const g = node.g + 1;
+                const seen = visited.get(key);
+                if (seen && seen.g <= g) continue;
+
+                visited.set(key, { parent: node.key, moved: next, g: g });
+                const h = heuristic.update(board, node.h, value, next, node.blank);
+                push({ board: board, key: key, blank: next, g: g, h: h, f: g + weight * h });
+            }
+        }
+
+        if (goalKey !== null) {
+            const indices = [];
+            for (let key = goalKey; visited.get(key).parent !== null; key = visited.get(key).parent) {
+                indices.push(visited.get(key).moved);
+            }
+            result.solved = true;
+            result.moves = indices.reverse().map(index => toCell(index, size));
+        }
+
+        result.elapsed = Date.now() - startTime;
+        return result;
+    }
+
+    /**
+     * Human-style reduction for boards too big to search: solve the top row
+     * or left column of the unsolved region (whichever is longer), shrink the
+     * region and repeat, then finish the last 3x3 (or smaller) region with IDA*.
+     * Finishes quickly, but the solution is far from optimal. Two-wide boards
+     * are left to weighted A* and may come back unsolved if they are very long.
+     *
+     * Returns the same shape as solve(), with optimal false and reduction true.
+     */
+    function solveReduction(startBoard, size) {
+        const { rows, cols } = parseSize(size);
+        const startTime = Date.now();
+        const result = {
+            solved: false,
+            optimal: false,
+            reduction: true,
+            moves: [],
+            nodesExpanded: 0,
+            bound: 0,
+            elapsed: 0,
+            timedOut: false,
+            cancelled: false,
+            unsolvable: false
+        };
+
+        if (!isSolvable(startBoard, size)) {
+            result.unsolvable = true;
+            return result;
+        }
+
+        const board = Array.from(startBoard);
+        const neighbors = buildNeighbors(size);
+        const locked = new Uint8Array(rows * cols); // Solved cells nothing may pass through
+        const path = [];
+        let blank = board.indexOf(0);
+
+        function slide(index) {
+            board[blank] = board[index];
+            board[index] = 0;
+            path.push(index);
+            blank = index;
+        }
+
+        // Breadth-first route (excluding "from") around locked cells and "avoid"
+        function route(from, to, avoid) {
+            if (from === to) return [];
+            const previous = new Int32Array(rows * cols).fill(-1);
+            previous[from] = from;
+            const queue = [from];
+            for (let head = 0; head < queue.length; head++) {
+                const cell = queue[head];
+                for (const next of neighbors[cell]) {
+                    if (previous[next] !== -1 || locked[next] || next === avoid) continue;
+                    previous[next] = cell;
+                    if (next === to) {
+                        const steps = [];
+                        for (let at = to; at !== from; at = previous[at]) steps.push(at);
+                        return steps.reverse();
+                    }
+                    queue.push(next);
+                }
+            }
+            throw new Error('Reduction solver has no route');
+        }
+
+        function moveBlank(to, avoid) {
+            route(blank, to, avoid).forEach(slide);
+        }
+
+        // Walk a tile along its route, bringing the blank round in front of it each step
+        function moveTile(value, to) {
+            let at = board.indexOf(value);
+            route(at, to, -1).forEach(next => {
+                moveBlank(next, at);
+                slide(at);
+                at = next;
+            });
+        }
+
+        // Solve a line of goal cells; "offset" steps from a cell into the rest of the region
+        function solveLine(goals, offset) {
+            const last = goals.length - 1;
+            for (let i = 0; i < last - 1; i++) {
+                moveTile(goals[i] + 1, goals[i]);
+                locked[goals[i]] = 1;
+            }
+
+            // The last two tiles can't be placed one at a time: park the last
+            // tile in the second-to-last cell with its partner beside it, then
+            // bring the blank to the end of the line and rotate both in.
+            // The partner waits two cells out so it can't get boxed into the
+            // end cell, where the blank would have no way back out.
+            const second = goals[last - 1];
+            const end = goals[last];
+            if (board[second] !== second + 1 || board[end] !== end + 1) {
+                moveTile(second + 1, second + 2 * offset);
+                locked[second + 2 * offset] = 1;
+                moveTile(end + 1, second);
+                locked[second] = 1;
+                locked[second + 2 * offset] = 0;
+                moveTile(second + 1, second + offset);
+                locked[second + offset] = 1;
+                moveBlank(end, -1);
+                locked[second + offset] = 0;
+                slide(second);
+                slide(second + offset);
+            }
+            locked[second] = 1;
+            locked[end] = 1;
+        }
+
+        // Two-wide boards have no room for the line trick; they are searched whole
+        let top = 0;
+        let left = 0;
+        while (rows >= 3 && cols >= 3 && (rows - top > 3 || cols - left > 3)) {
+            const goals = [];
+            if (rows - top >= cols - left) {
+                for (let col = left; col < cols; col++) goals.push(top * cols + col);
+                solveLine(goals, cols);
+                top++;
+            } else {
+                for (let row = top; row < rows; row++) goals.push(row * cols + left);
+                solveLine(goals, 1);
+                left++;
+            }
+        }
+
+        // Renumber the remaining region as its own small puzzle and search it
+        const subRows = rows - top;
+        const subCols = cols - left;
+        const cells = [];
+        const sub = [];
+        for (let row = top; row < rows; row++) {
+            for (let col = left; col < cols; col++) {
+                const index = row * cols + col;
+                const value = board[index];
+                cells.push(index);
+                sub.push(value === 0 ? 0 :
+                    (Math.floor((value - 1) / cols) - top) * subCols + ((value - 1) % cols - left) + 1);
+            }
+        }
+        // A long two-wide strip is too big to search optimally, so settle for weighted A*
+        const finish = sub.length > 9 ?
+            solveFast(sub, `${subRows}x${subCols}`) :
+            solve(sub, `${subRows}x${subCols}`, { timeLimit: 0 });
+        result.nodesExpanded = finish.nodesExpanded;
+        if (!finish.solved) {
+            result.elapsed = Date.now() - startTime;
+            return result;
+        }
+        finish.moves.forEach(move => slide(cells[move.row * subCols + move.col]));
+
+        // Drop slides that are immediately undone by the next one
+        const blanks = [startBoard.indexOf(0)];
+        const moves = [];
+        path.forEach(index => {
+            if (moves.length > 0 && index === blanks[blanks.length - 2]) {
+                moves.pop();
+                blanks.pop();
+            } else {
+                moves.push(index);
+                blanks.push(index);
+            }
+        });
+
+        result.solved = true;
+        result.moves = moves.map(index => toCell(index, size));
+        result.elapsed = Date.now() - startTime;
+        return result;
+    }
+
+    /**
+     * Try for an optimal solution within the time limit, then fall back to
+     * solveFast() if the search ran out of time. Takes the same options as solve().
+     * A fallback result has fallback and timedOut set and optimal false.
+     * Boards bigger than 5x5 (and anything solveFast gives up on) use solveReduction().
+     */
+    function solveWithFallback(board, size, options = {}) {
+        const dims = parseSize(size);
+        if (dims.rows * dims.cols > SEARCH_CELL_LIMIT) return solveReduction(board, size);
+
+        const attempt = solve(board, size, options);
+        if (!attempt.timedOut) return attempt;
+
+        let result = solveFast(board, size, { heuristic: options.heuristic });
+        if (!result.solved) result = solveReduction(board, size);
+        result.fallback = true;
+        result.timedOut = true;
+        result.bound = attempt.bound;
+        result.nodesExpanded += attempt.nodesExpanded;
+        result.elapsed += attempt.elapsed;
+        return result;
+    }
+
+    /**
+     * Board index -> { row, col } of the tile to slide
+     */
+    function toCell(index, size) {
+        const cols = parseSize(size).cols;
+        return { row: Math.floor(index / cols), col: index % cols };
+    }
+
+    /**
+     * Same parity rule as PuzzleEngine.isSolvable, repeated so the solver
+     * can run on its own (for example inside a Web Worker)
+     */
+    function isSolvable(board, size) {
+        const { rows, cols } = parseSize(size);
+        let inversions = 0;
+        for (let i = 0; i < board.length; i++) {
+            if (board[i] === 0) continue;
+            for (let j = i + 1; j < board.length; j++) {
+                if (board[j] !== 0 && board[i] > board[j]) inversions++;
+            }
+        }
+        if (cols % 2 === 1) return inversions % 2 === 0;
+        const blankRowFromBottom = rows - Math.floor(Array.prototype.indexOf.call(board, 0) / cols);
+        return (inversions + blankRowFromBottom) % 2 === 1;
+    }
+
+    return {
+        DEFAULT_TIME_LIMIT: DEFAULT_TIME_LIMIT,
+        SEARCH_CELL_LIMIT: SEARCH_CELL_LIMIT,
+        solve: solve,
+        solveFast: solveFast,
+        solveReduction: solveReduction,
+        solveWithFallback: solveWithFallback,
+        isSolvable: isSolvable,
+        createManhattanHeuristic: createManhattanHeuristic,
+        createLinearConflictHeuristic: createLinearConflictHeuristic
+    };
+});
@@ -0,0 +1,235 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Replay Viewer
+ * Plays back a recorded game (starting board plus timed moves) using the
+ * same engine and tile rendering as the game page
+ * Works as a browser global (window.ReplayViewer) or a CommonJS module in Node
+ *
+ * Replay format (written by fifteen.js):
+ *   { size, startBoard, startedAt, moves: [[ms, cell, type?], ...] }
+ * where cell is the board index the slide started from and type is
+ * 'undo', 'redo' or 'solver' for moves that were not plain player moves.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./puzzle-engine.js'), require('./puzzle-renderer.js'));
+    } else {
+        root.ReplayViewer = factory(root.PuzzleEngine, root.PuzzleRenderer);
+    }
+})(typeof self !== 'undefined' ? self : this, function(PuzzleEngine, PuzzleRenderer) {
+    "use strict";
+
+    const SHARE_PREFIX = '#replay=';
+
+    class ReplayViewer {
+        /**
+         * container - element styled like #puzzleArea (position: relative)
+         * options   - { containerSize, background }
+         */
+        constructor(container, replay, options = {}) {
+            this.container = container;
+            this.replay = replay;
+            this.renderOptions = {
+                size: replay.size,
+                containerSize: options.containerSize || container.clientWidth,
+                background: options.background || ''
+            };
+            this.index = 0;      // Number of moves applied
+            this.speed = 1;
+            this.playing = false;
+            this.timer = null;
+            this.listeners = {};
+
+            // Playback time starts at the first move, not when the board was shuffled
+            const first = replay.moves.length > 0 ? replay.moves[0][0] : 0;
+            this.times = replay.moves.map(move => move[0] - first);
+
+            this.engine = new PuzzleEngine(replay.size);
+            this.tiles = {};
+            this.build();
+        }
+
+        /**
+         * Subscribe to 'update' events: { index, total, elapsed, duration, playing, type }
+         */
+        on(event, callback) {
+            if (!this.listeners[event]) {
+                this.listeners[event] = [];
+            }
+            this.listeners[event].push(callback);
+            return this;
+        }
+
+        emit(event, data) {
+            (this.listeners[event] || []).forEach(callback => callback(data));
+        }
+
+        get total() {
+            return this.replay.moves.length;
+        }
+
+        get duration() {
+            return this.times.length > 0 ? this.times[this.times.length - 1] : 0;
+        }
+
+        /**
+         * Create the tile elements and show the starting board
+         */
+        build() {
+            this.container.innerHTML = '';
+            this.tiles = {};
+            for (let number = 1; number < this.engine.board.length; number++) {
+                const tile = PuzzleRenderer.createTileElement(number);
+                this.tiles[number] = tile;
+                this.container.appendChild(tile);
+            }
+            this.seek(0);
+        }
+
+        renderAll() {
+            Object.entries(this.tiles).forEach(([number, tile]) => {
+                const value = parseInt(number);
+                PuzzleRenderer.renderTile(tile, value, this.engine.positionOf(value), this.renderOptions);
+            });
+        }
+
+        /**
+         * Apply the next recorded move and slide its tiles into place
+         */
+        applyNext() {
+            const cell = this.replay.moves[this.index][1];
+            const cols = this.engine.cols;
+            const moves = this.engine.slide(Math.floor(cell / cols), cell % cols);
+            moves.forEach(move => {
+                PuzzleRenderer.renderTile(this.tiles[move.value], move.value,
+                    { row: move.toRow, col: move.toCol }, this.renderOptions);
+            });
+            this.index++;
+        }
+
+        /**
+         * Jump to the board after a given number of moves
+         */
+        seek(index) {
+            this.index = 0;
+            this.engine.load(this.replay.startBoard);
+            const target = Math.max(0, Math.min(index, this.total));
+            const cols = this.engine.cols;
+            while (this.index < target) {
+                const cell = this.replay.moves[this.index][1];
+                this.engine.slide(Math.floor(cell / cols), cell % cols);
+                this.index++;
+            }
+            this.renderAll();
+            this.update();
+        }
+
+        /**
+         * Step forwards or backwards by a number of moves (pauses playback)
+         */
+        step(delta) {
+            this.pause();
+            if (delta === 1 && this.index < this.total) {
+                this.applyNext();
+                this.update();
+            } else {
+                this.seek(this.index + delta);
+            }
+        }
+
+        play() {
+            if (this.playing) return;
+            if (this.index >= this.total) this.seek(0);
+            this.playing = true;
+            this.update();
+            this.scheduleNext();
+        }
+
+        pause() {
+            if (this.timer) {
+                clearTimeout(this.timer);
+                this.timer = null;
+            }
+            if (this.playing) {
+                this.playing = false;
+                this.update();
+            }
+        }
+
+        toggle() {
+            if (this.playing) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        }
+
+        setSpeed(speed) {
+            this.speed = speed;
+            if (this.playing) {
+                clearTimeout(this.timer);
+                this.scheduleNext();
+            }
+        }
+
+        scheduleNext() {
+            if (this.index >= this.total) {
+                this.pause();
+                return;
+            }
+            // Wait as long as the player did between these two moves
+            const previous = this.index > 0 ? this.times[this.index - 1] : 0;
+            const delay = (this.times[this.index] - previous) / this.speed;
+            this.timer = setTimeout(() => {
+                this.applyNext();
+                this.update();
+                this.scheduleNext();
+            }, delay);
+        }
+
+        update() {
+            const lastMove = this.index > 0 ? this.replay.moves[this.index - 1] : null;
+            this.emit('update', {
+                index: this.index,
+                total: this.total,
+                elapsed: this.index > 0 ? this.times[this.index - 1] : 0,
+                duration: this.duration,
+                playing: this.playing,
+                type: lastMove ? (lastMove[2] || 'move') : null
+            });
+        }
+
+        /**
+         * Stop playback and remove the tiles
+         */
+        destroy() {
+            this.pause();
+            this.container.innerHTML = '';
+            this.listeners = {};
+        }
+    }
+
+    /**
+     * Encode a replay for a shareable URL hash (#replay=...)
+     */
+    ReplayViewer.toShareHash = function(replay) {
+        return SHARE_PREFIX + btoa(JSON.stringify(replay));
+    };
+
+    /**
+     * Decode a replay from a URL hash, or null if the hash has none
+     */
+    ReplayViewer.fromShareHash = function(hash) {
+        if (!hash || !hash.startsWith(SHARE_PREFIX)) return null;
+        try {
+            const replay = JSON.parse(atob(decodeURIComponent(hash.slice(SHARE_PREFIX.length))));
+            if (!replay.size || !Array.isArray(replay.startBoard) || !Array.isArray(replay.moves)) return null;
+            return replay;
+        } catch (error) {
+            console.error('Invalid replay link:', error);
+            return null;
+        }
+    };
+
+    return ReplayViewer;
+});
@@ -0,0 +1,177 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Scramble Generator
+ * Uniformly random solvable scrambles, or scrambles whose solution length
+ * falls in a requested band (optimal for 3x3, estimated for larger boards)
+ * Works as a browser global (window.ScrambleGenerator) or a CommonJS module in Node
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./puzzle-engine.js'), require('./puzzle-solver.js'));
+    } else {
+        root.ScrambleGenerator = factory(root.PuzzleEngine, root.PuzzleSolver);
+    }
+})(typeof self !== 'undefined' ? self : this, function(PuzzleEngine, PuzzleSolver) {
+    "use strict";
+
+    const EXACT_CELL_LIMIT = 9;   // Boards this small are measured with an optimal solve
+    const RANDOM_TRIES = 20;      // Uniform boards tried before walking out from the goal
+    const SAMPLE_BOARDS = 100;    // Random boards averaged for a size's typical distance
+    const WALK_STEPS_PER_CELL = 200;
+
+    /**
+     * Each difficulty as a share of the typical solution length of a fully
+     * random board. 'expert' has no band: any random solvable board will do.
+     */
+    const DIFFICULTY_BANDS = {
+        easy: [0.2, 0.4],
+        medium: [0.4, 0.65],
+        hard: [0.65, 0.85],
+        expert: null
+    };
+
+    const typicalDistances = {};
+
+    /**
+     * Whether boards of a size are measured by their optimal solution
+     * (true) or by the linear conflict estimate (false)
+     */
+    function isExact(size) {
+        return PuzzleEngine.createGoalBoard(size).length <= EXACT_CELL_LIMIT;
+    }
+
+    /**
+     * Solution length of a board: optimal when the size is small enough,
+     * otherwise the linear conflict estimate (a lower bound)
+     */
+    function measure(board, size) {
+        if (isExact(size)) {
+            return PuzzleSolver.solve(board, size, { timeLimit: 0 }).moves.length;
+        }
+        return PuzzleSolver.createLinearConflictHeuristic(size).estimate(board);
+    }
+
+    /**
+     * Average measured distance of a fully random board of a size.
+     * Sampled from a fixed seed, so every page gets the same bands.
+     */
+    function getTypicalDistance(size) {
+        const label = PuzzleEngine.getSizeLabel(size);
+        if (typicalDistances[label] === undefined) {
+            const random = PuzzleEngine.createSeededRandom(`typical-${label}`);
+            let total = 0;
+            for (let i = 0; i < SAMPLE_BOARDS; i++) {
+                total += measure(PuzzleEngine.createRandomBoard(size, random), size);
+            }
+            typicalDistances[label] = total / SAMPLE_BOARDS;
+        }
+        return typicalDistances[label];
+    }
+
+    /**
+     * Solution-length range { min, max } in moves for a difficulty,
+     * or null when the difficulty means a fully random board
+     */
+    function getBand(size, difficulty) {
+        const band = DIFFICULTY_BANDS[difficulty];
+        if (!band) return null;
+        const typical = getTypicalDistance(size);
+        return {
+            min: Math.max(1, Math.round(band[0] * typical)),
+            max: Math.max(1, Math.round(band[1] * typical))
+        };
+    }
+
+    /**
+     * Make a solvable board. With no band it is uniformly random; with
+     * options.min / options.max it aims for a solution length in that range.
+     *
+     * Random boards are tried first; bands they rarely land in (short ones)
+     * are reached by a random walk from the goal that never steps straight
+     * back. If nothing lands in the band, the closest board found is used.
+     *
+     * Returns { board, distance, exact, inBand }.
+     */
+    function generate(size, options = {}) {
+        const random = options.random || Math.random;
+        const exact = isExact(size);
+
+        if (options.min === undefined && options.max === undefined) {
+            const board = PuzzleEngine.createRandomBoard(size, random);
+            return { board: board, distance: measure(board, size), exact: exact, inBand: true };
+        }
+
+        const min = options.min || 0;
+        const max = options.max === undefined ? Infinity : options.max;
+        const gap = distance => Math.max(min - distance, distance - max, 0);
+        let best = null;
+
+        function consider(board, distance) {
+            if (!best || gap(distance) < gap(best.distance)) {
+                best = { board: board.slice(), distance: distance, exact: exact, inBand: gap(distance) === 0 };
+            }
+        }
+
+        for (let i = 0; i < RANDOM_TRIES; i++) {
+            const board = PuzzleEngine.createRandomBoard(size, random);
+            consider(board, measure(board, size));
+            if (best.inBand) return best;
+        }
+
+        const { rows, cols } = PuzzleEngine.parseSize(size);
+        const board = PuzzleEngine.createGoalBoard(size);
+        const heuristic = exact ? null : PuzzleSolver.createLinearConflictHeuristic(size);
+        const steps = board.length * WALK_STEPS_PER_CELL;
+        // Stop somewhere inside the band, not always at its near edge
+        const target = max === Infinity ? min : min + Math.floor(random() * (max - min + 1));
+        let blank = board.length - 1;
+        let previous = -1;
+        let distance = 0;
+
+        for (let step = 0; step < steps; step++) {
+            const row = Math.floor(blank / cols);
+            const col = blank % cols;
+            const neighbors = [];
+            if (row > 0) neighbors.push(blank - cols);
+            if (row < rows - 1) neighbors.push(blank + cols);
+            if (col > 0) neighbors.push(blank - 1);
+            if (col < cols - 1) neighbors.push(blank + 1);
+            const choices = neighbors.filter(index => index !== previous);
+            const next = choices[Math.floor(random() * choices.length)];
+
+            const value = board[next];
+            board[blank] = value;
+            board[next] = 0;
+            distance = heuristic ?
+                heuristic.update(board, distance, value, next, blank) :
+                measure(board, size);
+            previous = blank;
+            blank = next;
+
+            if (gap(distance) === 0 && distance >= target) {
+                return { board: board, distance: distance, exact: exact, inBand: true };
+            }
+            consider(board, distance);
+        }
+
+        return best;
+    }
+
+    /**
+     * Make a board for an admin difficulty ('easy', 'medium', 'hard', 'expert')
+     */
+    function generateForDifficulty(size, difficulty, random = Math.random) {
+        const band = getBand(size, difficulty);
+        return generate(size, band ? { min: band.min, max: band.max, random: random } : { random: random });
+    }
+
+    return {
+        DIFFICULTY_BANDS: DIFFICULTY_BANDS,
+        EXACT_CELL_LIMIT: EXACT_CELL_LIMIT,
+        measure: measure,
+        getTypicalDistance: getTypicalDistance,
+        getBand: getBand,
+        generate: generate,
+        generateForDifficulty: generateForDifficulty
+    };
+});
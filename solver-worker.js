@@ -0,0 +1,35 @@
+/*
+ * CSC 4370 - Fifteen Puzzle Solver Worker
+ * Runs PuzzleSolver off the main thread so the page stays responsive
+ * Uses the cached pattern databases (pattern-database.js) as the heuristic when built
+ *
+ * Messages in:  { type: 'solve', board, size, timeLimit }
+ * Messages out: { type: 'progress', nodesExpanded, bound, elapsed }
+ *               { type: 'result', result }
+ * Cancelling is done by the page terminating the worker.
+ */
+
+"use strict";
+
+importScripts('puzzle-solver.js', 'pattern-database.js');
+
+self.addEventListener('message', function(e) {
+    const message = e.data;
+    if (!message || message.type !== 'solve') return;
+
+    // Fall back to linear conflict when no pattern database is cached for this size
+    PatternDatabase.load(message.size).catch(() => null).then(database => {
+        const heuristic = database ? PatternDatabase.createHeuristic(database) : undefined;
+
+        // Optimal search first; on timeout this returns a quick non-optimal solution
+        const result = PuzzleSolver.solveWithFallback(message.board, message.size, {
+            timeLimit: message.timeLimit,
+            heuristic: heuristic,
+            onProgress: function(progress) {
+                self.postMessage({ type: 'progress', ...progress });
+            }
+        });
+
+        self.postMessage({ type: 'result', result: result });
+    });
+});